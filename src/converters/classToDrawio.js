@@ -0,0 +1,169 @@
+/**
+ * Class Diagram to Draw.io
+ * Renders parsed Mermaid classes as draw.io UML classes: a stack layout swimlane
+ * with the name as header, the attributes, a separator line and the methods
+ */
+
+const MIN_CLASS_WIDTH = 160;
+const HEADER_HEIGHT = 26;
+const ANNOTATION_HEIGHT = 16;
+const ROW_HEIGHT = 26;
+const SEPARATOR_HEIGHT = 8;
+
+const ROW_STYLE = 'text;strokeColor=none;fillColor=none;align=left;verticalAlign=top;spacingLeft=4;spacingRight=4;overflow=hidden;rotatable=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;whiteSpace=wrap;html=1;';
+const SEPARATOR_STYLE = 'line;strokeWidth=1;fillColor=none;align=left;verticalAlign=middle;spacingTop=-1;spacingLeft=3;spacingRight=3;rotatable=0;labelPosition=right;points=[];portConstraint=eastwest;strokeColor=inherit;';
+
+/**
+ * Draw.io arrow for each UML relation end
+ * Diamonds are filled for composition, heads are hollow for everything else
+ */
+const RELATION_ARROWS = {
+  inheritance: { arrow: 'block', fill: 0, size: 16 },
+  realization: { arrow: 'block', fill: 0, size: 16 },
+  composition: { arrow: 'diamondThin', fill: 1, size: 14 },
+  aggregation: { arrow: 'diamondThin', fill: 0, size: 14 },
+  association: { arrow: 'open', fill: 0, size: 12 },
+  dependency: { arrow: 'open', fill: 0, size: 12 }
+};
+
+/**
+ * Get the size of a class box, so the layout can make room for its members
+ */
+export function getClassSize(node) {
+  const texts = [
+    getClassTitle(node),
+    ...node.attributes.map(formatAttribute),
+    ...node.methods.map(formatMethod)
+  ].flatMap(text => text.split('\n'));
+
+  return {
+    width: Math.max(MIN_CLASS_WIDTH, Math.max(...texts.map(text => text.length)) * 7 + 20),
+    height: getHeaderHeight(node) + (node.attributes.length + node.methods.length) * ROW_HEIGHT + SEPARATOR_HEIGHT
+  };
+}
+
+/**
+ * Build the draw.io cells of a class diagram
+ * @param {Array} nodes - Positioned classes (with x, y, width, height and parent)
+ * @param {Array} edges - Relations from parseMermaidCode
+ * @returns {Object} - { nodes, edges } for generateDrawioXML
+ */
+export function buildClassCells(nodes, edges) {
+  const cells = [];
+
+  nodes.forEach(node => {
+    const headerHeight = getHeaderHeight(node);
+    const abstract = node.annotations.some(annotation => annotation.toLowerCase() === 'abstract');
+
+    cells.push({
+      ...node,
+      label: getClassTitle(node),
+      drawioStyle: `swimlane;fontStyle=${abstract ? 3 : 1};align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=${headerHeight};horizontalStack=0;resizeParent=1;resizeParentMax=0;resizeLast=0;collapsible=1;marginBottom=0;whiteSpace=wrap;html=1;`
+    });
+
+    // Children are stacked below the header, with coordinates relative to the class
+    let y = headerHeight;
+    const addRow = (id, member, text) => {
+      cells.push({
+        id,
+        label: text,
+        drawioStyle: `${ROW_STYLE}${getClassifierStyle(member.classifier)}`,
+        x: 0,
+        y,
+        width: node.width,
+        height: ROW_HEIGHT,
+        parent: node.id
+      });
+      y += ROW_HEIGHT;
+    };
+
+    node.attributes.forEach((member, index) => addRow(`${node.id}_attribute_${index}`, member, formatAttribute(member)));
+
+    cells.push({
+      id: `${node.id}_separator`,
+      label: '',
+      drawioStyle: SEPARATOR_STYLE,
+      x: 0,
+      y,
+      width: node.width,
+      height: SEPARATOR_HEIGHT,
+      parent: node.id
+    });
+    y += SEPARATOR_HEIGHT;
+
+    node.methods.forEach((member, index) => addRow(`${node.id}_method_${index}`, member, formatMethod(member)));
+  });
+
+  const relations = edges.map(edge => ({
+    ...edge,
+    drawioStyle: getRelationStyle(edge),
+    sourceLabel: edge.sourceCardinality,
+    targetLabel: edge.targetCardinality
+  }));
+
+  return { nodes: cells, edges: relations };
+}
+
+/**
+ * Class header: stereotypes above the name, generics with angle brackets
+ */
+function getClassTitle(node) {
+  const name = node.generic ? `${node.label}<${node.generic}>` : node.label;
+  return [...node.annotations.map(annotation => `«${annotation}»`), name].join('\n');
+}
+
+function getHeaderHeight(node) {
+  return HEADER_HEIGHT + node.annotations.length * ANNOTATION_HEIGHT;
+}
+
+/**
+ * UML attribute: "+ name: Type = default"
+ */
+function formatAttribute(member) {
+  const typed = member.type ? `${member.name}: ${member.type}` : member.name;
+  const text = member.defaultValue ? `${typed} = ${member.defaultValue}` : typed;
+  return member.visibility ? `${member.visibility} ${text}` : text;
+}
+
+/**
+ * UML operation: "+ name(param: Type): ReturnType"
+ */
+function formatMethod(member) {
+  const parameters = member.parameters
+    .map(parameter => parameter.type ? `${parameter.name}: ${parameter.type}` : parameter.name)
+    .join(', ');
+  const text = `${member.name}(${parameters})${member.type ? `: ${member.type}` : ''}`;
+  return member.visibility ? `${member.visibility} ${text}` : text;
+}
+
+/**
+ * UML underlines static members and sets abstract ones in italics
+ */
+function getClassifierStyle(classifier) {
+  if (classifier === '$') return 'fontStyle=4;';
+  if (classifier === '*') return 'fontStyle=2;';
+  return '';
+}
+
+/**
+ * Draw.io style for a relation, with the arrow of each end
+ */
+function getRelationStyle(edge) {
+  let style = 'html=1;rounded=0;edgeStyle=orthogonalEdgeStyle;';
+  if (edge.line === 'dotted') style += 'dashed=1;';
+
+  const start = RELATION_ARROWS[edge.startKind];
+  if (start) {
+    style += `startArrow=${start.arrow};startFill=${start.fill};startSize=${start.size};`;
+  }
+
+  const end = RELATION_ARROWS[edge.endKind];
+  style += end ? `endArrow=${end.arrow};endFill=${end.fill};endSize=${end.size};` : 'endArrow=none;';
+
+  return style;
+}
+
+export default {
+  getClassSize,
+  buildClassCells
+};
@@ -0,0 +1,206 @@
+/**
+ * Draw.io Image Files
+ * Reads and writes the diagram model embedded in .drawio.svg and .drawio.png files
+ */
+
+import pako from 'pako';
+import { decodeDrawioContent } from './drawioParser.js';
+import { crc32 } from '../utils/zip.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Chunk keywords draw.io has used for the model over time
+const PNG_MODEL_KEYWORDS = ['mxfile', 'mxGraphModel'];
+
+/**
+ * Check whether a file name points to a binary image that has to be read as an ArrayBuffer
+ */
+export function isBinaryDrawioFile(fileName) {
+  return /\.png$/i.test(fileName);
+}
+
+/**
+ * Get the draw.io XML of a loaded file, extracting it from SVG and PNG images
+ * @param {{name: string, content: string|ArrayBuffer}} file - File read by the app
+ * @returns {string} - Draw.io XML
+ */
+export function extractDrawioFromFile(file) {
+  if (/\.png$/i.test(file.name)) {
+    return extractDrawioFromPng(file.content);
+  }
+  if (/\.svg$/i.test(file.name)) {
+    return extractDrawioFromSvg(file.content);
+  }
+  return file.content;
+}
+
+/**
+ * Extract the diagram from the content attribute of a .drawio.svg file
+ */
+export function extractDrawioFromSvg(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const svg = doc.documentElement;
+
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg') {
+    throw new Error('El archivo no es un SVG válido');
+  }
+
+  const content = svg.getAttribute('content');
+  if (!content) {
+    throw new Error('El SVG no contiene un diagrama de draw.io editable');
+  }
+
+  return decodeDrawioContent(content);
+}
+
+/**
+ * Extract the diagram from the tEXt/zTXt chunk of a .drawio.png file
+ */
+export function extractDrawioFromPng(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new Error('El archivo no es un PNG válido');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'tEXt' || type === 'zTXt') {
+      const separator = data.indexOf(0);
+      const keyword = latin1(data.subarray(0, separator));
+
+      if (separator > 0 && PNG_MODEL_KEYWORDS.includes(keyword)) {
+        // zTXt has a compression method byte before the zlib stream
+        const text = type === 'zTXt'
+          ? pako.inflate(data.subarray(separator + 2), { to: 'string' })
+          : latin1(data.subarray(separator + 1));
+        return decodeDrawioContent(decodeChunkText(text));
+      }
+    }
+
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  throw new Error('El PNG no contiene un diagrama de draw.io editable');
+}
+
+/**
+ * Store the diagram in the content attribute of an SVG image
+ * @param {string} svg - SVG markup
+ * @param {string} xml - Draw.io XML
+ * @returns {string} - SVG that draw.io opens as an editable diagram
+ */
+export function embedDrawioInSvg(svg, xml) {
+  if (!/<svg\b/.test(svg)) {
+    throw new Error('No se encontró el elemento <svg> para incrustar el diagrama');
+  }
+
+  const withoutContent = svg.replace(/(<svg\b[^>]*?)\s+content="[^"]*"/, '$1');
+  return withoutContent.replace(/<svg\b/, `<svg content="${escapeAttribute(xml)}"`);
+}
+
+/**
+ * Store the diagram in a tEXt chunk of a PNG image, right before IEND
+ * @param {ArrayBuffer|Uint8Array} png - PNG bytes
+ * @param {string} xml - Draw.io XML
+ * @returns {Uint8Array} - PNG that draw.io opens as an editable diagram
+ */
+export function embedDrawioInPng(png, xml) {
+  const bytes = png instanceof Uint8Array ? png : new Uint8Array(png);
+
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new Error('El archivo no es un PNG válido');
+  }
+
+  const iendOffset = findPngChunk(bytes, 'IEND');
+  if (iendOffset === -1) {
+    throw new Error('El PNG no tiene bloque IEND');
+  }
+
+  // draw.io stores the model URL-encoded, which keeps the chunk text within Latin-1
+  const text = `mxfile\0${encodeURIComponent(xml)}`;
+  const chunk = new Uint8Array(12 + text.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, text.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = 'tEXt'.charCodeAt(i);
+  }
+  for (let i = 0; i < text.length; i++) {
+    chunk[8 + i] = text.charCodeAt(i);
+  }
+  view.setUint32(8 + text.length, crc32(chunk.subarray(4, 8 + text.length)));
+
+  const result = new Uint8Array(bytes.length + chunk.length);
+  result.set(bytes.subarray(0, iendOffset), 0);
+  result.set(chunk, iendOffset);
+  result.set(bytes.subarray(iendOffset), iendOffset + chunk.length);
+  return result;
+}
+
+/**
+ * Find the offset of the first chunk of a given type
+ */
+function findPngChunk(bytes, chunkType) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === chunkType) return offset;
+    offset += 12 + view.getUint32(offset);
+  }
+
+  return -1;
+}
+
+/**
+ * Decode chunk text, which draw.io writes URL-encoded
+ */
+function decodeChunkText(text) {
+  if (text.trim().startsWith('<')) return text;
+
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Read bytes as Latin-1, the encoding of PNG text chunks
+ */
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+/**
+ * Escape a value for a double-quoted XML attribute
+ */
+function escapeAttribute(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+export default {
+  isBinaryDrawioFile,
+  extractDrawioFromFile,
+  extractDrawioFromSvg,
+  extractDrawioFromPng,
+  embedDrawioInSvg,
+  embedDrawioInPng
+};
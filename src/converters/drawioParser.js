@@ -72,13 +72,11 @@ export function getDrawioPages(xmlContent) {
 }
 
 /**
- * Parse draw.io XML and extract structure
- * @param {string} xmlContent - The XML content
- * @param {object} options - Options { pageIndex: 0 }
+ * Load the mxGraphModel document of one page
+ * Compressed pages are decoded, plain graph models are parsed as they are
  */
-export function parseDrawioXML(xmlContent, options = {}) {
+function loadGraphModel(xmlContent, pageIndex = 0) {
   const parser = new DOMParser();
-  const pageIndex = options.pageIndex || 0;
   
   // Clean the XML content - remove leading/trailing whitespace and any BOM
   let cleanedContent = xmlContent.trim();
@@ -136,6 +134,13 @@ export function parseDrawioXML(xmlContent, options = {}) {
     throw new Error(`Error de parsing XML: ${parseError.textContent}`);
   }
   
+  return doc;
+}
+
+/**
+ * Read every mxCell, UserObject and object of a graph model as a plain cell
+ */
+function readCells(doc) {
   // Query both mxCell and UserObject/object
   const cellElements = doc.querySelectorAll('mxCell, UserObject, object');
   const cells = [];
@@ -146,6 +151,11 @@ export function parseDrawioXML(xmlContent, options = {}) {
       // We need to extract the "real" properties
       
       const tagName = el.tagName;
+      
+      // The mxCell inside a UserObject/object is read together with its wrapper
+      const wrapper = el.parentNode?.tagName;
+      if (tagName === 'mxCell' && (wrapper === 'UserObject' || wrapper === 'object')) return;
+      
       let id = el.getAttribute('id');
       let value = el.getAttribute('value') || el.getAttribute('label') || '';
       let style = el.getAttribute('style');
@@ -155,9 +165,20 @@ export function parseDrawioXML(xmlContent, options = {}) {
       let source = el.getAttribute('source');
       let target = el.getAttribute('target');
       let geometryElement = el.querySelector('mxGeometry');
+      let visible = el.getAttribute('visible');
+      let collapsed = el.getAttribute('collapsed');
+      let link = null;
+      let linkTarget = null;
+      let tooltip = null;
+      let properties = {};
 
       // If it's a UserObject/object, the mxCell might be a child
       if (tagName === 'UserObject' || tagName === 'object') {
+          link = el.getAttribute('link');
+          linkTarget = el.getAttribute('linkTarget');
+          tooltip = el.getAttribute('tooltip');
+          properties = getCustomProperties(el);
+          
           const childCell = el.querySelector('mxCell');
           if (childCell) {
               if (!style) style = childCell.getAttribute('style');
@@ -167,6 +188,8 @@ export function parseDrawioXML(xmlContent, options = {}) {
               if (!source) source = childCell.getAttribute('source');
               if (!target) target = childCell.getAttribute('target');
               if (!geometryElement) geometryElement = childCell.querySelector('mxGeometry');
+              if (!visible) visible = childCell.getAttribute('visible');
+              if (!collapsed) collapsed = childCell.getAttribute('collapsed');
           }
       }
       
@@ -181,9 +204,126 @@ export function parseDrawioXML(xmlContent, options = {}) {
           parent,
           source,
           target,
-          geometryElement
+          geometryElement,
+          visible,
+          collapsed,
+          link,
+          linkTarget,
+          tooltip,
+          properties
       });
   });
+  
+  return cells;
+}
+
+/**
+ * Attributes of a UserObject that draw.io itself manages
+ */
+const USER_OBJECT_ATTRIBUTES = new Set(['id', 'label', 'placeholders', 'link', 'linkTarget', 'tooltip']);
+
+/**
+ * Read the custom properties (Edit Data) of a UserObject/object
+ */
+function getCustomProperties(el) {
+  const properties = {};
+  Array.from(el.attributes).forEach(attr => {
+    if (!USER_OBJECT_ATTRIBUTES.has(attr.name)) {
+      properties[attr.name] = attr.value;
+    }
+  });
+  return properties;
+}
+
+/**
+ * Read the Mermaid source of a cell inserted with Arrange > Insert > Mermaid
+ * draw.io stores it as JSON ({ data, config }), returns null for other cells
+ */
+function readMermaidData(mermaidData) {
+  if (!mermaidData) return null;
+  try {
+    const { data } = JSON.parse(mermaidData);
+    return typeof data === 'string' ? data : null;
+  } catch (e) {
+    // Older files may hold the bare source
+    return mermaidData.trim() || null;
+  }
+}
+
+/**
+ * Link, tooltip and custom properties of a cell, only the ones it has
+ */
+function getLinkData(cell) {
+  const data = {};
+  if (cell.link) data.link = cell.link;
+  if (cell.linkTarget) data.linkTarget = cell.linkTarget;
+  if (cell.tooltip) data.tooltip = cell.tooltip;
+  if (Object.keys(cell.properties).length > 0) data.properties = cell.properties;
+  return data;
+}
+
+/**
+ * Split the top of the cell tree into root cells and layers
+ * Layers are the children of the root, draw.io names the first one "Background"
+ */
+function getLayerStructure(cells) {
+  const rootIds = new Set(cells.filter(cell => cell.id && !cell.parent).map(cell => cell.id));
+  const layers = cells
+    .filter(cell => cell.id && rootIds.has(cell.parent) && cell.vertex !== '1' && cell.edge !== '1')
+    .map((cell, index) => ({
+      id: cell.id,
+      name: cleanLabel(cell.value) || (index === 0 ? 'Background' : `Layer ${index + 1}`),
+      visible: cell.visible !== '0'
+    }));
+  return { rootIds, layers };
+}
+
+/**
+ * Get the layers of one page
+ * @param {string} xmlContent - The XML content
+ * @param {object} options - Options { pageIndex: 0 }
+ * @returns {Array<{id: string, name: string, visible: boolean}>}
+ */
+export function getDrawioLayers(xmlContent, options = {}) {
+  return getLayerStructure(readCells(loadGraphModel(xmlContent, options.pageIndex || 0))).layers;
+}
+
+/**
+ * Parse draw.io XML and extract structure
+ * @param {string} xmlContent - The XML content
+ * @param {object} options - Options { pageIndex: 0, layers: null, includeHidden: false }
+ *   layers: IDs of the layers to read, by default every visible layer
+ *   includeHidden: keep cells and layers drawn with visible="0"
+ */
+export function parseDrawioXML(xmlContent, options = {}) {
+  const allCells = readCells(loadGraphModel(xmlContent, options.pageIndex || 0));
+  const { rootIds, layers } = getLayerStructure(allCells);
+  const includeHidden = !!options.includeHidden;
+  const selectedLayers = options.layers ? new Set(options.layers) : null;
+  const layerMap = new Map(layers.map(layer => [layer.id, layer]));
+  const cellsById = new Map(allCells.map(cell => [cell.id, cell]));
+  
+  // Skip cells on excluded layers and hidden cells, along with everything inside them
+  const exclusion = new Map();
+  const isExcluded = (cell) => {
+    if (!cell || !cell.id) return false;
+    if (exclusion.has(cell.id)) return exclusion.get(cell.id);
+    exclusion.set(cell.id, false);
+    const layer = layerMap.get(cell.id);
+    const excluded = layer
+      ? (selectedLayers ? !selectedLayers.has(layer.id) : !includeHidden && !layer.visible)
+      : (!includeHidden && cell.visible === '0') || isExcluded(cellsById.get(cell.parent));
+    exclusion.set(cell.id, excluded);
+    return excluded;
+  };
+  const cells = allCells.filter(cell => {
+    if (isExcluded(cell)) return false;
+    // Edges to a skipped cell are skipped with it
+    if (cell.edge === '1') {
+      return !isExcluded(cellsById.get(cell.source)) && !isExcluded(cellsById.get(cell.target));
+    }
+    return true;
+  });
 
   const allCellsMap = new Map();
   const groupChildren = new Map();
@@ -192,13 +332,15 @@ export function parseDrawioXML(xmlContent, options = {}) {
   const edges = [];
   const nodeMap = new Map(); 
   const edgeMap = new Map(); 
+  const containers = [];
+  const containerMap = new Map();
   
   // First pass: Index all cells and identify hierarchy
   cells.forEach(cell => {
     if (!cell.id) return;
     allCellsMap.set(cell.id, cell);
     
-    if (cell.parent && cell.parent !== '0' && cell.parent !== '1') {
+    if (cell.parent && !rootIds.has(cell.parent) && !layerMap.has(cell.parent)) {
       if (!groupChildren.has(cell.parent)) {
         groupChildren.set(cell.parent, []);
       }
@@ -206,6 +348,32 @@ export function parseDrawioXML(xmlContent, options = {}) {
     }
   });
 
+  // Collapsed groups stand for their whole content, as draw.io draws them
+  const collapsedIds = new Set();
+  const collapsedContent = new Set();
+  const hideContent = (cellId) => {
+    (groupChildren.get(cellId) || []).forEach(child => {
+      collapsedContent.add(child.id);
+      processedCellIds.add(child.id);
+      hideContent(child.id);
+    });
+  };
+  cells.forEach(cell => {
+    if (cell.vertex === '1' && cell.collapsed === '1') {
+      collapsedIds.add(cell.id);
+      hideContent(cell.id);
+    }
+  });
+
+  // Mermaid diagrams inserted in draw.io keep their source in a mermaidData attribute
+  const embeddedMermaid = [];
+  cells.forEach(cell => {
+    const source = readMermaidData(cell.properties.mermaidData);
+    if (source === null) return;
+    embeddedMermaid.push({ id: cell.id, source });
+    processedCellIds.add(cell.id);
+  });
+
   // Helper to parse geometry
   const getGeometry = (cell) => {
     const geometry = cell.geometryElement;
@@ -217,12 +385,116 @@ export function parseDrawioXML(xmlContent, options = {}) {
     };
   };
 
+  // Helper to get geometry in page coordinates
+  // Children of groups, containers and lifelines are positioned relative to their parent
+  const getParentOffset = (cell) => {
+    const offset = { x: 0, y: 0 };
+    const visited = new Set();
+    let current = cell.parent;
+    while (current && !visited.has(current)) {
+      visited.add(current);
+      const parentCell = allCellsMap.get(current);
+      if (!parentCell || parentCell.vertex !== '1') break;
+      const parentGeometry = getGeometry(parentCell);
+      offset.x += parentGeometry.x;
+      offset.y += parentGeometry.y;
+      current = parentCell.parent;
+    }
+    return offset;
+  };
+  
+  const getAbsoluteGeometry = (cell) => {
+    const geometry = getGeometry(cell);
+    const offset = getParentOffset(cell);
+    return { ...geometry, x: geometry.x + offset.x, y: geometry.y + offset.y };
+  };
+  
+  // Helper to read the loose end points and waypoints of an edge
+  const getEdgePoints = (cell) => {
+    const geometry = cell.geometryElement;
+    const offset = getParentOffset(cell);
+    const toPoint = (el) => el ? {
+      x: (parseFloat(el.getAttribute('x')) || 0) + offset.x,
+      y: (parseFloat(el.getAttribute('y')) || 0) + offset.y
+    } : null;
+    
+    return {
+      sourcePoint: toPoint(geometry?.querySelector('mxPoint[as="sourcePoint"]')),
+      targetPoint: toPoint(geometry?.querySelector('mxPoint[as="targetPoint"]')),
+      points: Array.from(geometry?.querySelectorAll('Array[as="points"] > mxPoint') || []).map(toPoint)
+    };
+  };
+  
+  // Helper to decide whether a cell is rendered as a subgraph
+  // Stack/table layouts are lists (UML classes, entities) and get merged,
+  // unless they stack lanes, as draw.io pools do
+  const isContainer = (cell) => {
+    if (cell.vertex !== '1' || !isContainerStyle(cell.style)) return false;
+    if (cell.collapsed === '1') return false;
+    if (isSequenceShapeStyle(cell.style)) return false;
+    if (!isRecordStyle(cell.style)) return true;
+    if (cell.style.includes('shape=table')) return false;
+    return (groupChildren.get(cell.id) || []).some(child => child.vertex === '1' && isContainerStyle(child.style));
+  };
+
+  // Helper to find the nearest container up the parent chain
+  const findParentContainer = (cellId) => {
+    const visited = new Set();
+    let current = allCellsMap.get(cellId)?.parent;
+    while (current && !visited.has(current)) {
+      if (containerMap.has(current)) return current;
+      visited.add(current);
+      current = allCellsMap.get(current)?.parent;
+    }
+    return null;
+  };
+
+  // Helper to read the cell labels of a record row
+  // Table rows hold one cell per column, any other child is a single-cell row
+  const getRowCells = (row) => {
+    const rowCells = (groupChildren.get(row.id) || []).filter(c => c.vertex === '1');
+    if (!row.style.includes('shape=tableRow') || rowCells.length === 0) {
+      return [cleanLabel(row.value)];
+    }
+    rowCells.sort((a, b) => getGeometry(a).x - getGeometry(b).x);
+    rowCells.forEach(c => processedCellIds.add(c.id));
+    return rowCells.map(c => cleanLabel(c.value));
+  };
+  
+  // Helper to find the nearest emitted node or container up the parent chain
+  const resolveEndpoint = (cellId) => {
+    const visited = new Set();
+    let current = cellId;
+    while (current && !visited.has(current) && allCellsMap.has(current)) {
+      if (nodeMap.has(current) || containerMap.has(current)) return current;
+      visited.add(current);
+      current = allCellsMap.get(current).parent;
+    }
+    return null;
+  };
+
+  // Helper to read the text of the row an edge was attached to
+  // A cell inside a table row stands for its whole row
+  const getRowText = (cell) => {
+    if (!cell) return '';
+    const parentCell = allCellsMap.get(cell.parent);
+    if (!cell.style.includes('shape=tableRow') && parentCell?.style.includes('shape=tableRow')) {
+      return getRowText(parentCell);
+    }
+    if (cell.style.includes('shape=tableRow')) {
+      const rowCells = (groupChildren.get(cell.id) || []).filter(c => c.vertex === '1');
+      rowCells.sort((a, b) => getGeometry(a).x - getGeometry(b).x);
+      return rowCells.map(c => cleanLabel(c.value)).filter(Boolean).join(' ');
+    }
+    return cleanLabel(cell.value);
+  };
+
   // Helper to process a single node
   const processNode = (cell, overrideLabel = null) => {
     const id = cell.id;
     const value = cell.value;
     const style = cell.style;
-    const geometry = getGeometry(cell);
+    const geometry = getAbsoluteGeometry(cell);
     
     const nodeData = {
       id,
@@ -232,8 +504,16 @@ export function parseDrawioXML(xmlContent, options = {}) {
       x: geometry.x,
       y: geometry.y,
       width: geometry.width,
-      height: geometry.height
+      height: geometry.height,
+      ...getLinkData(cell)
     };
+    
+    // Formatted labels keep a markdown version, a link in the label links the node
+    if (overrideLabel === null) {
+      const richLabel = readRichLabel(value, style);
+      if (richLabel.markdown) nodeData.markdown = richLabel.markdown;
+      if (richLabel.link && !nodeData.link) nodeData.link = richLabel.link;
+    }
     nodes.push(nodeData);
     nodeMap.set(id, nodeData);
     return nodeData;
@@ -245,7 +525,7 @@ export function parseDrawioXML(xmlContent, options = {}) {
       const groupCell = allCellsMap.get(groupId);
       if (!groupCell) continue;
       
-      const geometry = getGeometry(groupCell);
+      const geometry = getAbsoluteGeometry(groupCell);
       const style = groupCell.style || '';
       const val = groupCell.value || '';
       
@@ -254,10 +534,18 @@ export function parseDrawioXML(xmlContent, options = {}) {
       
       // Only merge if it's a vertex (visible group), ignored if just container
       if (groupCell.vertex !== '1') continue;
+      
+      // Lifelines keep their activation bars as separate nodes
+      if (style.includes('shape=umlLifeline')) continue;
+      
+      // Table rows are read as part of their table
+      if (style.includes('shape=tableRow')) continue;
+      
+      // Collapsed groups keep their own label, their content is hidden
+      if (collapsedIds.has(groupId) || collapsedContent.has(groupId)) continue;
 
-      // Skip swimlanes if we want to treat them as subgraphs (future improvement)
-      // For now, if it's a group, we merge.
-      if (!style.includes('swimlane')) {
+      // Containers become subgraphs, any other group is merged into one node
+      if (!isContainer(groupCell)) {
          children.sort((a, b) => getGeometry(a).y - getGeometry(b).y);
          
          let mergedLabelParts = [];
@@ -272,12 +560,17 @@ export function parseDrawioXML(xmlContent, options = {}) {
          
          // 2. Process Children
          let childrenLabels = [];
+         let rows = [];
+         let memberDetails = [];
          children.forEach(child => {
              // Only if child is a vertex (text node, field), not an edge inside group
              if (child.vertex === '1') {
-                 const childLabel = cleanLabel(child.value);
+                 const rowCells = getRowCells(child);
+                 const childLabel = rowCells.filter(Boolean).join(' ');
                  if (childLabel) {
                     childrenLabels.push(childLabel);
+                    rows.push(rowCells);
+                    memberDetails.push({ label: childLabel, ...getFontDecoration(child) });
                  }
                  // Mark child as processed so we don't add it as separate node
                  processedCellIds.add(child.id);
@@ -291,6 +584,8 @@ export function parseDrawioXML(xmlContent, options = {}) {
              mergedLabelParts.push(`**${titleCandidate}**`);
              groupLabel = titleCandidate; // Update detected title
              childrenLabels.shift(); // Remove first used as title
+             rows.shift();
+             memberDetails.shift();
          }
          
          // Append rest of children
@@ -317,11 +612,15 @@ export function parseDrawioXML(xmlContent, options = {}) {
                 type: isClassResult ? 'class' : 'node',
                 name: groupLabel || 'Class', // Name for class diagram
                 members: childrenLabels,     // Members for class diagram
+                rows,                        // Cell labels per row (tables keep columns apart)
+                memberDetails,               // Underline (static) / italic (abstract) per member
+                abstract: getFontDecoration(groupCell).italic,
                 style,
                 x: geometry.x,
                 y: geometry.y,
                 width: geometry.width,
-                height: geometry.height
+                height: geometry.height,
+                ...getLinkData(groupCell)
              };
              
              nodes.push(nodeData);
@@ -348,28 +647,30 @@ export function parseDrawioXML(xmlContent, options = {}) {
     // Check if this is a label for an edge
     const isLabel = vertex === '1' && cell.raw.getAttribute('connectable') === '0' && parent && allCellsMap.has(parent) && allCellsMap.get(parent).edge === '1';
     
+    // Edge labels are attached in the fourth pass, once every edge exists
     if (isLabel) {
-      const edgeParent = edgeMap.get(parent);
-      if (edgeParent) {
-          const currentLabel = edgeParent.label;
-          const newLabel = cleanLabel(value);
-          if (newLabel) {
-            edgeParent.label = currentLabel ? `${currentLabel} ${newLabel}` : newLabel;
-          }
-      }
       return; 
     }
     
-    // Ignore children of groups that were NOT merged (so they appear as individual nodes inside container)?
-    // BUT we didn't output the container if we didn't merge it?
-    // If a group was NOT merged (e.g. swimlane or empty), we might want to process it as a Node/Subgraph?
-    // Currently `parseDrawioXML` outputs flat list.
-    // If we have a Group that wasn't merged, let's treat it as a Node.
-    // And its children as separate Nodes.
-    // This is fine. (Mermaid will show them overlapping without subgraph, but at least they exist).
-    
+    // Container (swimlane, container=1): children stay separate nodes
+    if (isContainer(cell)) {
+      const geometry = getAbsoluteGeometry(cell);
+      const containerData = {
+        id,
+        label: cleanLabel(value),
+        style,
+        x: geometry.x,
+        y: geometry.y,
+        width: geometry.width,
+        height: geometry.height
+      };
+      const { markdown } = readRichLabel(value, style);
+      if (markdown) containerData.markdown = markdown;
+      containers.push(containerData);
+      containerMap.set(id, containerData);
+    }
     // Normal Node
-    if (vertex === '1' && parent !== '0') {
+    else if (vertex === '1' && !rootIds.has(parent)) {
       processNode(cell);
     } 
     // Edge
@@ -380,33 +681,96 @@ export function parseDrawioXML(xmlContent, options = {}) {
         source,
         target,
         label: edgeLabel,
-        style
+        style,
+        ...getEdgePoints(cell)
       };
+      const { markdown } = readRichLabel(value, style);
+      if (markdown) edgeData.markdown = markdown;
       edges.push(edgeData);
       edgeMap.set(id, edgeData);
     }
   });
 
-  // Fourth Pass: Assign separate labels to edges (re-check for late edges)
+  // Fourth Pass: Assign separate labels to edges
+  // Labels near either end (multiplicities, role names) are kept apart from the middle label
   cells.forEach(cell => {
      const parent = cell.parent;
      const vertex = cell.vertex;
      const isLabel = vertex === '1' && cell.raw.getAttribute('connectable') === '0' && parent && edgeMap.has(parent);
      
      if (isLabel) {
-         const value = cell.value;
          const edgeData = edgeMap.get(parent);
-         const newLabel = cleanLabel(value);
-         // Only apply if not already applied (duplicates check?)
-         // Simple check: if we cleanLabel(value) is contained in edgeData.label? 
-         // Better: trust the loop order. We did edges in pass 3. This pass 4 is for labels defined AFTER edges in XML.
-         if (newLabel && edgeData) {
-              edgeData.label = edgeData.label ? `${edgeData.label} ${newLabel}` : newLabel;
+         const newLabel = cleanLabel(cell.value);
+         const position = parseFloat(cell.geometryElement?.getAttribute('x')) || 0;
+         const key = position <= -0.5 ? 'sourceLabel' : (position >= 0.5 ? 'targetLabel' : 'label');
+         if (newLabel) {
+              // A formatted middle label is kept as markdown unless it joins an existing label
+              const { markdown } = readRichLabel(cell.value, cell.style);
+              if (key === 'label' && markdown && !edgeData.label) {
+                  edgeData.markdown = markdown;
+              } else if (key === 'label') {
+                  delete edgeData.markdown;
+              }
+              edgeData[key] = edgeData[key] ? `${edgeData[key]} ${newLabel}` : newLabel;
          }
      }
   });
   
-  return { nodes, edges, nodeMap };
+  // Re-route edges drawn to children of merged groups (record rows, class members)
+  // up the parent chain to the node that was actually emitted
+  const warnings = [];
+  edges.forEach(edgeData => {
+    ['source', 'target'].forEach(end => {
+      const cellId = edgeData[end];
+      if (!cellId || nodeMap.has(cellId) || containerMap.has(cellId)) return;
+
+      // Unresolved ends are left dangling so every generator treats them alike
+      const resolvedId = resolveEndpoint(cellId);
+      if (!resolvedId) {
+        warnings.push(`Edge "${edgeData.label || edgeData.id}" points to an unknown ${end} "${cellId}"`);
+        edgeData[end] = null;
+        return;
+      }
+      edgeData[end] = resolvedId;
+      const rowText = getRowText(allCellsMap.get(cellId));
+      if (rowText && !collapsedIds.has(resolvedId)) {
+        edgeData[`${end}Row`] = rowText;
+      }
+    });
+  });
+
+  // Fifth Pass: Attach nodes and containers to their enclosing container
+  nodes.forEach(node => {
+    node.parent = findParentContainer(node.id);
+  });
+  containers.forEach(container => {
+    container.parent = findParentContainer(container.id);
+  });
+  
+  return { nodes, edges, nodeMap, containers, layers, embeddedMermaid, warnings };
+}
+
+/**
+ * Parse a draw.io style string into a key/value object
+ * Bare tokens such as "ellipse" or "swimlane" are stored with value '1'
+ */
+export function parseStyleString(style) {
+  const result = {};
+  if (!style) return result;
+  
+  style.split(';').forEach(part => {
+    const token = part.trim();
+    if (!token) return;
+    
+    const separator = token.indexOf('=');
+    if (separator === -1) {
+      result[token] = '1';
+    } else {
+      result[token.substring(0, separator)] = token.substring(separator + 1);
+    }
+  });
+  
+  return result;
 }
 
 /**
@@ -438,6 +802,47 @@ function parseShapeFromStyle(style) {
   return 'rectangle';
 }
 
+/**
+ * Read underline and italic from a cell's fontStyle or its HTML label
+ * (UML draws static members underlined and abstract ones in italics)
+ */
+function getFontDecoration(cell) {
+  const fontStyle = parseInt(parseStyleString(cell.style).fontStyle, 10) || 0;
+  const html = cell.value || '';
+  
+  return {
+    underline: (fontStyle & 4) !== 0 || /<u>|text-decoration:\s*underline/i.test(html),
+    italic: (fontStyle & 2) !== 0 || /<(i|em)>|font-style:\s*italic/i.test(html)
+  };
+}
+
+/**
+ * Check if a style describes a container (swimlane or container=1)
+ */
+function isContainerStyle(style) {
+  if (!style) return false;
+  return style.includes('swimlane') || style.includes('container=1');
+}
+
+/**
+ * Check if a style is a UML sequence shape that may carry container=1
+ * (lifelines hold activation bars, frames wrap messages)
+ */
+function isSequenceShapeStyle(style) {
+  if (!style) return false;
+  return style.includes('shape=umlLifeline') || style.includes('shape=umlFrame');
+}
+
+/**
+ * Check if a style describes a record-like list (table, stack layout)
+ */
+function isRecordStyle(style) {
+  if (!style) return false;
+  return style.includes('childLayout=stackLayout') ||
+    style.includes('childLayout=tableLayout') ||
+    style.includes('shape=table');
+}
+
 /**
  * Clean HTML from labels - Improved to preserve structure
  */
@@ -469,48 +874,142 @@ function cleanLabel(html) {
   // Split by newline, trim each line, join back
   text = text.split('\n').map(line => line.trim()).filter(line => line.length > 0).join('\n');
   
-  // Escape special Mermaid characters
-  text = text.replace(/"/g, "'");
-  text = text.replace(/\[/g, '(');
-  text = text.replace(/\]/g, ')');
-  
+  // Characters that are special to Mermaid are escaped by the generators
   return text;
 }
 
+/**
+ * Read the formatting of an HTML label (html=1) as Mermaid markdown
+ * Bold and italic become **text** and _text_, line breaks stay newlines and the
+ * first hyperlink is returned apart. markdown is null for plain single-line labels
+ */
+function readRichLabel(html, style) {
+  if (!html || !/(^|;)html=1(;|$)/.test(style)) return { markdown: null, link: null };
+  
+  const temp = document.createElement('div');
+  temp.innerHTML = html.replace(/&nbsp;/g, ' ');
+  let formatted = false;
+  let link = null;
+  
+  const walk = (element) => Array.from(element.childNodes).map(child => {
+    // HTML collapses source whitespace, only <br> and blocks break lines;
+    // literal markdown characters become entity codes so they are not read as markers
+    if (child.nodeType === 3) {
+      return child.textContent.replace(/\s+/g, ' ').replace(/[*_`]/g, char => `#${char.charCodeAt(0)};`);
+    }
+    if (child.nodeType !== 1) return '';
+    
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'br') return '\n';
+    if (tag === 'a' && !link) link = child.getAttribute('href');
+    
+    const css = (child.getAttribute('style') || '').toLowerCase();
+    let text = walk(child);
+    if (tag === 'b' || tag === 'strong' || /font-weight:\s*(bold|[6-9]00)/.test(css)) {
+      text = wrapMarkdown(text, '**');
+      formatted = true;
+    }
+    if (tag === 'i' || tag === 'em' || /font-style:\s*italic/.test(css)) {
+      text = wrapMarkdown(text, '_');
+      formatted = true;
+    }
+    if (tag === 'div' || tag === 'p' || tag === 'li') {
+      text = `\n${text}\n`;
+    }
+    return text;
+  }).join('');
+  
+  const markdown = walk(temp).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+  return {
+    markdown: markdown && (formatted || markdown.includes('\n')) ? markdown : null,
+    link
+  };
+}
+
+/**
+ * Wrap text in a markdown marker, which has to hug the words of each line
+ */
+function wrapMarkdown(text, marker) {
+  return text
+    .split('\n')
+    .map(line => {
+      const match = line.match(/^(\s*)(.*?)(\s*)$/);
+      return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : line;
+    })
+    .join('\n');
+}
+
 /**
  * Generate XML for creating a draw.io diagram
+ * Containers become swimlanes, nodes and containers with a parent use coordinates relative to it.
+ * A drawioStyle on a container, node or edge replaces the style derived from its shape or link type, and
+ * edges may carry waypoints (points) or loose ends (sourcePoint, targetPoint) instead of terminals,
+ * and labels at their ends (sourceLabel, targetLabel)
  */
-export function generateDrawioXML(nodes, edges) {
+export function generateDrawioXML(nodes, edges, containers = []) {
   const cellsXml = [];
   
   // Root cells
   cellsXml.push('<mxCell id="0"/>');
   cellsXml.push('<mxCell id="1" parent="0"/>');
   
-  // Add nodes
+  // Containers (Mermaid subgraphs) come before their content, parents before children
+  containers.forEach(container => {
+    const label = escapeXml(container.html || toHtmlLabel(container.label || ''));
+    
+    const style = escapeXml(container.drawioStyle || 'swimlane;startSize=30;whiteSpace=wrap;html=1;');
+    
+    cellsXml.push(`<mxCell id="${escapeXml(container.id)}" value="${label}" style="${style}" vertex="1" parent="${escapeXml(container.parent || '1')}">
+      <mxGeometry x="${container.x}" y="${container.y}" width="${container.width}" height="${container.height}" as="geometry"/>
+    </mxCell>`);
+  });
+  
+  // Add nodes (IDs come from the Mermaid source too, so they are escaped like labels)
   nodes.forEach((node, index) => {
-    const id = node.id || `node_${index}`;
+    const id = escapeXml(node.id || `node_${index}`);
     const x = node.x || (index % 3) * 200 + 50;
     const y = node.y || Math.floor(index / 3) * 150 + 50;
     const width = node.width || 120;
     const height = node.height || 60;
-    const label = escapeXml(node.label || '');
-    const style = getStyleForShape(node.shape);
+    const label = escapeXml(node.html || toHtmlLabel(node.label || ''));
+    const style = escapeXml(node.drawioStyle || getStyleForShape(node.shape));
+    const parent = escapeXml(node.parent || '1');
+    
+    const geometryXml = `<mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>`;
     
-    cellsXml.push(`<mxCell id="${id}" value="${label}" style="${style}" vertex="1" parent="1">
-      <mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>
+    // Links, tooltips and custom properties need a UserObject around the cell
+    const userAttributes = getUserObjectAttributes(node);
+    if (userAttributes) {
+      cellsXml.push(`<UserObject id="${id}" label="${label}"${userAttributes}>
+      <mxCell style="${style}" vertex="1" parent="${parent}">
+        ${geometryXml}
+      </mxCell>
+    </UserObject>`);
+    } else {
+      cellsXml.push(`<mxCell id="${id}" value="${label}" style="${style}" vertex="1" parent="${parent}">
+      ${geometryXml}
     </mxCell>`);
+    }
   });
   
   // Add edges
   edges.forEach((edge, index) => {
-    const id = edge.id || `edge_${index}`;
-    const label = escapeXml(edge.label || '');
-    const style = 'edgeStyle=orthogonalEdgeStyle;rounded=1;orthogonalLoop=1;jettySize=auto;html=1;';
+    const id = escapeXml(edge.id || `edge_${index}`);
+    const label = escapeXml(edge.html || toHtmlLabel(edge.label || ''));
+    const style = escapeXml(edge.drawioStyle || getStyleForEdge(edge));
+    const terminals = (edge.source ? ` source="${escapeXml(edge.source)}"` : '') + (edge.target ? ` target="${escapeXml(edge.target)}"` : '');
     
-    cellsXml.push(`<mxCell id="${id}" value="${label}" style="${style}" edge="1" parent="1" source="${edge.source}" target="${edge.target}">
-      <mxGeometry relative="1" as="geometry"/>
+    cellsXml.push(`<mxCell id="${id}" value="${label}" style="${style}" edge="1" parent="1"${terminals}>
+      ${getEdgeGeometryXml(edge)}
     </mxCell>`);
+    
+    // Labels at either end (multiplicities) are child cells placed at the edge ends
+    [['sourceLabel', -1, 'left'], ['targetLabel', 1, 'right']].forEach(([key, position, align]) => {
+      if (!edge[key]) return;
+      cellsXml.push(`<mxCell id="${id}_${key}" value="${escapeXml(toHtmlLabel(edge[key]))}" style="edgeLabel;resizable=0;html=1;align=${align};verticalAlign=bottom;" vertex="1" connectable="0" parent="${id}">
+      <mxGeometry x="${position}" relative="1" as="geometry"><mxPoint as="offset"/></mxGeometry>
+    </mxCell>`);
+    });
   });
   
   const graphXml = `<mxGraphModel>
@@ -526,6 +1025,130 @@ export function generateDrawioXML(nodes, edges) {
 </mxfile>`;
 }
 
+/**
+ * Generate XML for a draw.io Mermaid cell, the way Arrange > Insert > Mermaid creates it
+ * The cell shows the rendered SVG and keeps the source, so draw.io can edit it again
+ */
+export function generateMermaidCellXML(mermaidCode, svg) {
+  if (!svg) {
+    throw new Error('Se necesita el diagrama renderizado para crear una celda Mermaid');
+  }
+  
+  const viewBox = svg.match(/viewBox="\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*"/);
+  const width = viewBox ? Math.round(parseFloat(viewBox[1])) : 400;
+  const height = viewBox ? Math.round(parseFloat(viewBox[2])) : 300;
+  
+  const mermaidData = JSON.stringify({ data: mermaidCode, config: { theme: 'default' } });
+  const style = `shape=image;noLabel=1;verticalAlign=top;aspect=fixed;imageAspect=0;image=data:image/svg+xml,${toBase64(svg)};`;
+  
+  return `<mxfile>
+  <diagram name="Page-1">
+    <mxGraphModel>
+  <root>
+    <mxCell id="0"/>
+    <mxCell id="1" parent="0"/>
+    <UserObject id="mermaid" label="" mermaidData="${escapeXml(mermaidData)}">
+      <mxCell style="${style}" vertex="1" parent="1">
+        <mxGeometry x="50" y="50" width="${width}" height="${height}" as="geometry"/>
+      </mxCell>
+    </UserObject>
+  </root>
+</mxGraphModel>
+  </diagram>
+</mxfile>`;
+}
+
+/**
+ * Edge geometry with its loose ends and waypoints, when it has any
+ */
+function getEdgeGeometryXml(edge) {
+  const parts = [];
+  if (edge.sourcePoint) {
+    parts.push(`<mxPoint x="${edge.sourcePoint.x}" y="${edge.sourcePoint.y}" as="sourcePoint"/>`);
+  }
+  if (edge.targetPoint) {
+    parts.push(`<mxPoint x="${edge.targetPoint.x}" y="${edge.targetPoint.y}" as="targetPoint"/>`);
+  }
+  if (edge.points && edge.points.length > 0) {
+    parts.push(`<Array as="points">${edge.points.map(point => `<mxPoint x="${point.x}" y="${point.y}"/>`).join('')}</Array>`);
+  }
+  
+  if (parts.length === 0) {
+    return '<mxGeometry relative="1" as="geometry"/>';
+  }
+  return `<mxGeometry relative="1" as="geometry">
+        ${parts.join('\n        ')}
+      </mxGeometry>`;
+}
+
+/**
+ * Base64-encode UTF-8 text
+ */
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Write plain text as an HTML label (the generated styles use html=1)
+ */
+function toHtmlLabel(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Serialize a node's link, tooltip and custom properties as UserObject attributes
+ * Returns an empty string when the node has none, keys that are not XML names are dropped
+ */
+function getUserObjectAttributes(node) {
+  const attributes = { ...node.properties };
+  if (node.link) attributes.link = node.link;
+  if (node.linkTarget) attributes.linkTarget = node.linkTarget;
+  if (node.tooltip) attributes.tooltip = node.tooltip;
+  
+  return Object.entries(attributes)
+    .filter(([key]) => /^[A-Za-z_][\w.-]*$/.test(key) && key !== 'id' && key !== 'label')
+    .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+    .join('');
+}
+
+/**
+ * Get draw.io style string for an edge
+ * Flowchart links set their arrows and stroke, other edges keep the default arrow
+ */
+function getStyleForEdge(edge) {
+  let style = 'edgeStyle=orthogonalEdgeStyle;rounded=1;orthogonalLoop=1;jettySize=auto;html=1;';
+  
+  if (edge.startArrow && edge.startArrow !== 'none') {
+    style += `startArrow=${edge.startArrow};`;
+  }
+  if (edge.endArrow && edge.endArrow !== 'classic') {
+    style += `endArrow=${edge.endArrow};`;
+  }
+  
+  switch (edge.stroke) {
+    case 'dotted':
+      style += 'dashed=1;';
+      break;
+    case 'thick':
+      style += 'strokeWidth=4;';
+      break;
+    case 'invisible':
+      style += 'opacity=0;';
+      break;
+  }
+  
+  return style;
+}
+
 /**
  * Get draw.io style string for a shape type
  */
@@ -542,7 +1165,14 @@ function getStyleForShape(shape) {
     'parallelogram': 'shape=parallelogram;whiteSpace=wrap;html=1;',
     'stadium': 'rounded=1;whiteSpace=wrap;html=1;arcSize=50;',
     'subroutine': 'shape=process;whiteSpace=wrap;html=1;',
-    'asymmetric': 'shape=trapezoid;whiteSpace=wrap;html=1;'
+    'asymmetric': 'shape=trapezoid;whiteSpace=wrap;html=1;',
+    'doubleCircle': 'ellipse;shape=doubleEllipse;whiteSpace=wrap;html=1;',
+    'parallelogramAlt': 'shape=parallelogram;flipH=1;whiteSpace=wrap;html=1;',
+    'trapezoid': 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;',
+    'invTrapezoid': 'shape=trapezoid;perimeter=trapezoidPerimeter;flipV=1;whiteSpace=wrap;html=1;',
+    'document': 'shape=document;whiteSpace=wrap;html=1;boundedLbl=1;',
+    'cloud': 'ellipse;shape=cloud;whiteSpace=wrap;html=1;',
+    'triangle': 'triangle;whiteSpace=wrap;html=1;'
   };
   
   return shapeStyles[shape] || baseStyle;
@@ -563,5 +1193,8 @@ function escapeXml(text) {
 export default {
   decodeDrawioContent,
   parseDrawioXML,
-  generateDrawioXML
+  getDrawioLayers,
+  parseStyleString,
+  generateDrawioXML,
+  generateMermaidCellXML
 };
@@ -3,73 +3,219 @@
  * Converts parsed draw.io structure to Mermaid syntax
  */
 
-import { parseDrawioXML, decodeDrawioContent } from './drawioParser.js';
+import { parseDrawioXML, decodeDrawioContent, parseStyleString, getDrawioPages } from './drawioParser.js';
+import { createIdMapper } from './mermaidIds.js';
 
 /**
  * Convert draw.io XML content to Mermaid code
+ * direction: 'auto' (inferred from the layout), 'TD', 'LR', 'BT' or 'RL'
+ * readableIds: derive Mermaid IDs from labels instead of draw.io IDs
+ * idMapper: mapper from createIdMapper(), to look up draw.io IDs afterwards
  */
 export function convertDrawioToMermaid(xmlContent, options = {}) {
-  const { direction = 'TD', diagramType = 'flowchart' } = options;
+  const { direction = 'auto', diagramType = 'flowchart', readableIds = false } = options;
   
   try {
     // Parse the draw.io XML
-    const { nodes, edges, nodeMap } = parseDrawioXML(xmlContent, options);
+    const { nodes, edges, nodeMap, containers, embeddedMermaid } = parseDrawioXML(xmlContent, options);
+    
+    // A Mermaid diagram inserted in draw.io already has its source, return it unchanged
+    if (embeddedMermaid.length > 0) {
+      return embeddedMermaid[0].source;
+    }
     
     if (nodes.length === 0) {
       throw new Error('No se encontraron nodos en el diagrama Draw.io');
     }
     
     // Determine best diagram type based on content
-    const detectedType = detectDiagramType(nodes, edges);
+    const detectedType = detectDiagramType(nodes, edges, containers);
     const type = diagramType === 'auto' ? detectedType : diagramType;
     
+    // Assign Mermaid IDs up front, in document order, so they are stable
+    const ids = options.idMapper || createIdMapper({ readable: readableIds });
+    containers.forEach(container => ids.get(container.id, container.label));
+    nodes.forEach(node => ids.get(node.id, node.name || node.label));
+    
+    let code;
     switch (type) {
       case 'sequence':
-        return generateSequenceDiagram(nodes, edges);
+        code = generateSequenceDiagram(nodes, edges, ids);
+        break;
       case 'class':
-        return generateClassDiagram(nodes, edges);
-      default:
-        return generateFlowchart(nodes, edges, direction);
+        code = generateClassDiagram(nodes, edges, ids);
+        break;
+      case 'er':
+        code = generateErDiagram(nodes, edges, ids);
+        break;
+      case 'state':
+        code = generateStateDiagram(nodes, edges, containers, ids);
+        break;
+      case 'mindmap':
+        code = generateMindmap(nodes, edges, ids);
+        break;
+      default: {
+        const flowDirection = direction === 'auto' ? inferDirection(nodes, edges, containers) : direction;
+        code = generateFlowchart(nodes, edges, flowDirection, containers, ids);
+      }
     }
+    
+    const linkLines = buildNodeLinks(nodes, ids, type);
+    return linkLines.length > 0 ? `${code}\n\n${linkLines.join('\n')}` : code;
   } catch (error) {
     throw new Error(`Error al convertir Draw.io a Mermaid: ${error.message}`);
   }
 }
 
+/**
+ * Describe a draw.io diagram without converting it
+ * Returns the detected diagram type, the inferred flow direction and parser warnings
+ */
+export function getDrawioDiagramInfo(xmlContent, options = {}) {
+  const { nodes, edges, containers, embeddedMermaid, warnings } = parseDrawioXML(xmlContent, options);
+  
+  // Only the first embedded Mermaid diagram is returned, everything else on the page is left out
+  const embeddedWarnings = [];
+  if (embeddedMermaid.length > 1) {
+    embeddedWarnings.push(`The page holds ${embeddedMermaid.length} embedded Mermaid diagrams, only the first one was returned`);
+  }
+  if (embeddedMermaid.length > 0 && nodes.length > 0) {
+    embeddedWarnings.push(`${nodes.length} shapes next to the embedded Mermaid diagram were left out`);
+  }
+  
+  return {
+    diagramType: embeddedMermaid.length > 0 ? 'embedded' : detectDiagramType(nodes, edges, containers),
+    direction: inferDirection(nodes, edges, containers),
+    warnings: [...warnings, ...embeddedWarnings]
+  };
+}
+
+/**
+ * Convert several pages of a multi-page draw.io file in one pass
+ * A page that fails keeps its error message so the other pages are still returned
+ */
+export function convertDrawioPagesToMermaid(xmlContent, pageIndexes, options = {}) {
+  const pages = getDrawioPages(xmlContent);
+  
+  return pageIndexes.map(pageIndex => {
+    const name = pages[pageIndex]?.name || `Page ${pageIndex + 1}`;
+    try {
+      const { warnings } = getDrawioDiagramInfo(xmlContent, { ...options, pageIndex });
+      const code = convertDrawioToMermaid(xmlContent, { ...options, pageIndex });
+      return { index: pageIndex, name, code, warnings };
+    } catch (error) {
+      return { index: pageIndex, name, code: null, error: error.message, warnings: [] };
+    }
+  });
+}
+
+/**
+ * Infer the dominant flow direction from node coordinates
+ * Each edge votes for the axis and sense it mostly travels along
+ */
+function inferDirection(nodes, edges, containers = []) {
+  const boxes = new Map();
+  nodes.forEach(n => boxes.set(n.id, n));
+  containers.forEach(c => boxes.set(c.id, c));
+  
+  const votes = { TD: 0, BT: 0, LR: 0, RL: 0 };
+  edges.forEach(edge => {
+    const source = boxes.get(edge.source);
+    const target = boxes.get(edge.target);
+    if (!source || !target || source === target) return;
+    
+    const dx = (target.x + target.width / 2) - (source.x + source.width / 2);
+    const dy = (target.y + target.height / 2) - (source.y + source.height / 2);
+    if (dx === 0 && dy === 0) return;
+    
+    if (Math.abs(dx) > Math.abs(dy)) {
+      votes[dx > 0 ? 'LR' : 'RL']++;
+    } else {
+      votes[dy > 0 ? 'TD' : 'BT']++;
+    }
+  });
+  
+  // Ties keep the Mermaid default
+  return Object.keys(votes).reduce((best, key) => votes[key] > votes[best] ? key : best, 'TD');
+}
+
 /**
  * Detect diagram type from content
  */
-function detectDiagramType(nodes, edges) {
+function detectDiagramType(nodes, edges, containers = []) {
   // Check for class diagram patterns (structured class nodes)
   const isClassDiagram = nodes.some(n => n.type === 'class' || (n.label && (n.label.includes('class') || n.label.includes('interface'))));
   
-  // Check for sequence diagram patterns
-  const hasSequencePatterns = edges.some(e => 
-    e.label && (e.label.includes('request') || e.label.includes('response') || e.label.includes('call'))
-  );
+  // Check for UML sequence shapes: lifelines, or actors inside interaction frames
+  const hasLifelines = nodes.some(n => hasStyle(n, 'shape=umlLifeline'));
+  const hasFramedActors = nodes.some(n => hasStyle(n, 'shape=umlFrame')) && nodes.some(n => hasStyle(n, 'shape=umlActor'));
+  
+  // Check for ER patterns: table shapes or crow's-foot edge ends
+  const isErDiagram = nodes.some(n => hasStyle(n, 'shape=table')) ||
+    edges.some(e => /(start|end)Arrow=ER/.test(e.style || ''));
+  
+  // Check for UML state machine pseudo-states wired to a transition
+  const connected = new Set(edges.flatMap(e => [e.source, e.target]));
+  const isStateDiagram = nodes.some(n => connected.has(n.id) && getStateMarker(n) !== null);
+  
+  // Check for mind maps: foldable tree nodes or draw.io's curved mind map connectors
+  // (plain arrowless or elbow connectors are just as common in flowcharts)
+  const hasTreeStyle = nodes.some(n => hasStyle(n, 'treeFolding=1') || hasStyle(n, 'mindmapShape=')) ||
+    edges.some(e => isMindmapConnector(e.style || ''));
+  const isMindmap = hasTreeStyle && containers.length === 0 && isRootedTree(nodes, edges);
   
-  if (hasSequencePatterns) return 'sequence';
+  if (hasLifelines || hasFramedActors) return 'sequence';
+  if (isErDiagram) return 'er';
+  if (isStateDiagram) return 'state';
+  if (isMindmap) return 'mindmap';
   if (isClassDiagram) return 'class';
   return 'flowchart';
 }
 
+/**
+ * draw.io's mind map connector: a curved, arrowless entity relation edge
+ */
+function isMindmapConnector(style) {
+  return style.includes('edgeStyle=entityRelationEdgeStyle') && style.includes('curved=1') &&
+    style.includes('endArrow=none') && !/startArrow=(?!none)/.test(style);
+}
+
 /**
  * Generate Mermaid flowchart syntax
  */
-function generateFlowchart(nodes, edges, direction) {
+function generateFlowchart(nodes, edges, direction, containers, ids) {
   const lines = [];
   
   // Header
   lines.push(`flowchart ${direction}`);
   lines.push('');
   
-  // Generate node definitions
+  // Generate node definitions, nested inside their subgraphs
+  // Edges may point at a container, so its ID is a valid endpoint too
   const nodeIds = new Set();
-  nodes.forEach(node => {
-    nodeIds.add(node.id);
-    const nodeDef = formatFlowchartNode(node);
-    lines.push(`    ${nodeDef}`);
-  });
+  containers.forEach(container => nodeIds.add(container.id));
+  
+  // Styles shared by several nodes become a classDef, unique ones a style line
+  const { classAssignments, classDefs, styleLines } = buildNodeStyles(nodes, ids);
+  
+  const emitLevel = (parentId, depth) => {
+    const indent = '    '.repeat(depth);
+    
+    nodes.filter(node => (node.parent || null) === parentId).forEach(node => {
+      nodeIds.add(node.id);
+      const nodeDef = formatFlowchartNode(node, ids);
+      const className = classAssignments.get(node.id);
+      lines.push(`${indent}${nodeDef}${className ? `:::${className}` : ''}`);
+    });
+    
+    containers.filter(container => (container.parent || null) === parentId).forEach(container => {
+      lines.push(`${indent}${formatSubgraphHeader(container, ids)}`);
+      emitLevel(container.id, depth + 1);
+      lines.push(`${indent}end`);
+    });
+  };
+  
+  emitLevel(null, 1);
   
   // Add blank line before edges
   if (edges.length > 0) {
@@ -77,24 +223,192 @@ function generateFlowchart(nodes, edges, direction) {
   }
   
   // Generate edge definitions
+  // linkStyle addresses edges by output order, so group indexes by style
+  const ranks = computeFlowchartRanks(nodes, direction);
+  const linkStyles = new Map();
+  let edgeIndex = 0;
   edges.forEach(edge => {
     if (!edge.source || !edge.target) return;
     if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
     
-    const edgeDef = formatFlowchartEdge(edge);
+    const edgeDef = formatFlowchartEdge(edge, ids, ranks);
     lines.push(`    ${edgeDef}`);
+    
+    const props = getEdgeStyleProps(edge.style);
+    if (props.length > 0) {
+      const key = props.join(',');
+      if (!linkStyles.has(key)) {
+        linkStyles.set(key, []);
+      }
+      linkStyles.get(key).push(edgeIndex);
+    }
+    edgeIndex++;
   });
   
+  // Styling statements
+  if (classDefs.length > 0 || styleLines.length > 0 || linkStyles.size > 0) {
+    lines.push('');
+  }
+  classDefs.forEach(def => lines.push(`    ${def}`));
+  styleLines.forEach(line => lines.push(`    ${line}`));
+  for (const [key, indexes] of linkStyles.entries()) {
+    lines.push(`    linkStyle ${indexes.join(',')} ${key}`);
+  }
+  
   return lines.join('\n');
 }
 
+/**
+ * Diagrams without click statements, their links are kept as @meta comments
+ */
+const NO_CLICK_DIAGRAMS = new Set(['sequence', 'er', 'state', 'mindmap']);
+
+/**
+ * Build click statements and @meta comments from node links, tooltips and properties
+ * Custom properties become "%% @meta id key=value", one comment per property
+ */
+function buildNodeLinks(nodes, ids, type) {
+  const clickLines = [];
+  const metaLines = [];
+  
+  nodes.forEach(node => {
+    const id = ids.get(node.id);
+    const meta = { ...node.properties };
+    
+    // Mind map icons and classes are written on the node itself
+    if (type === 'mindmap') {
+      delete meta.icon;
+      delete meta.class;
+    }
+    
+    // draw.io page and action links (data:...) mean nothing outside draw.io
+    if (node.link && !NO_CLICK_DIAGRAMS.has(type) && !node.link.startsWith('data:')) {
+      const url = node.link.replace(/"/g, '%22');
+      const tooltip = node.tooltip ? ` "${node.tooltip.replace(/"/g, '#quot;').replace(/\s*\n\s*/g, ' ')}"` : '';
+      // Class diagrams have no link target
+      const target = type === 'class' ? '' : ` ${node.linkTarget || '_blank'}`;
+      clickLines.push(`    click ${id} href "${url}"${tooltip}${target}`);
+    } else {
+      if (node.link) meta.link = node.link;
+      if (node.linkTarget) meta.linkTarget = node.linkTarget;
+      if (node.tooltip) meta.tooltip = node.tooltip;
+    }
+    
+    Object.entries(meta).forEach(([key, value]) => {
+      metaLines.push(`    %% @meta ${id} ${key}=${String(value).replace(/\s*\n\s*/g, ' ')}`);
+    });
+  });
+  
+  return [...clickLines, ...metaLines];
+}
+
+/**
+ * Build classDef and style statements for flowchart nodes
+ * Returns the class assigned to each node ID (used with :::)
+ */
+function buildNodeStyles(nodes, ids) {
+  const nodeProps = new Map();
+  const usage = new Map();
+  
+  nodes.forEach(node => {
+    const props = getNodeStyleProps(node.style);
+    if (props.length === 0) return;
+    const key = props.join(',');
+    nodeProps.set(node.id, key);
+    usage.set(key, (usage.get(key) || 0) + 1);
+  });
+  
+  const classNames = new Map();
+  const classAssignments = new Map();
+  const classDefs = [];
+  const styleLines = [];
+  
+  nodes.forEach(node => {
+    const key = nodeProps.get(node.id);
+    if (!key) return;
+    
+    if (usage.get(key) === 1) {
+      styleLines.push(`style ${ids.get(node.id)} ${key}`);
+      return;
+    }
+    
+    if (!classNames.has(key)) {
+      const className = `style${classNames.size + 1}`;
+      classNames.set(key, className);
+      classDefs.push(`classDef ${className} ${key}`);
+    }
+    classAssignments.set(node.id, classNames.get(key));
+  });
+  
+  return { classAssignments, classDefs, styleLines };
+}
+
+/**
+ * Map draw.io fill, stroke and font styles to Mermaid style properties
+ */
+function getNodeStyleProps(style) {
+  const styles = parseStyleString(style);
+  const props = [];
+  
+  const fill = normalizeColor(styles.fillColor);
+  const stroke = normalizeColor(styles.strokeColor);
+  const color = normalizeColor(styles.fontColor);
+  const strokeWidth = parseFloat(styles.strokeWidth);
+  const fontStyle = parseInt(styles.fontStyle, 10) || 0;
+  
+  if (fill) props.push(`fill:${fill}`);
+  if (stroke) props.push(`stroke:${stroke}`);
+  if (strokeWidth && strokeWidth !== 1) props.push(`stroke-width:${strokeWidth}px`);
+  if (styles.dashed === '1') props.push('stroke-dasharray: 5 5');
+  if (color) props.push(`color:${color}`);
+  
+  // fontStyle is a bit mask: 1 bold, 2 italic, 4 underline
+  if (fontStyle & 1) props.push('font-weight:bold');
+  if (fontStyle & 2) props.push('font-style:italic');
+  if (fontStyle & 4) props.push('text-decoration:underline');
+  
+  return props;
+}
+
+/**
+ * Map draw.io edge color and width to Mermaid linkStyle properties
+ */
+function getEdgeStyleProps(style) {
+  const styles = parseStyleString(style);
+  const props = [];
+  
+  const stroke = normalizeColor(styles.strokeColor);
+  const color = normalizeColor(styles.fontColor);
+  const strokeWidth = parseFloat(styles.strokeWidth);
+  
+  if (stroke) props.push(`stroke:${stroke}`);
+  if (strokeWidth && strokeWidth !== 1) props.push(`stroke-width:${strokeWidth}px`);
+  if (color) props.push(`color:${color}`);
+  
+  return props;
+}
+
+/**
+ * Normalize a draw.io color value for Mermaid
+ * Returns null for defaults and values Mermaid cannot parse
+ */
+function normalizeColor(value) {
+  if (!value || value === 'default') return null;
+  
+  // Newer draw.io versions store theme-aware colors as light-dark(light,dark)
+  const lightDark = value.match(/^light-dark\(\s*([^,\s]+)\s*,/);
+  if (lightDark) return lightDark[1];
+  
+  return /^#?[A-Za-z0-9]+$/.test(value) ? value : null;
+}
+
 /**
  * Format a node for flowchart
  */
-function formatFlowchartNode(node) {
-  const id = sanitizeId(node.id);
+function formatFlowchartNode(node, ids) {
+  const id = ids.get(node.id);
   const rawLabel = node.label || id;
-  const label = escapeMermaidLabel(rawLabel);
+  const label = node.markdown ? formatMarkdownLabel(node.markdown) : escapeMermaidLabel(rawLabel);
   
   // Shape-specific formatting
   switch (node.shape) {
@@ -121,107 +435,437 @@ function formatFlowchartNode(node) {
   }
 }
 
+/**
+ * Format the opening line of a subgraph for a container
+ */
+function formatSubgraphHeader(container, ids) {
+  const id = ids.get(container.id);
+  const label = container.markdown
+    ? formatMarkdownLabel(container.markdown)
+    : (container.label ? escapeMermaidLabel(container.label) : '" "');
+  return `subgraph ${id} [${label}]`;
+}
+
 /**
  * Format an edge for flowchart
+ * draw.io arrow ends, dash pattern, width and opacity choose the Mermaid link,
+ * the rank distance between both ends sets its length
  */
-function formatFlowchartEdge(edge) {
-  const source = sanitizeId(edge.source);
-  const target = sanitizeId(edge.target);
-  const rawLabel = edge.label;
+function formatFlowchartEdge(edge, ids, ranks) {
+  const styles = parseStyleString(edge.style);
+  let start = getLinkEnd(styles.startArrow || 'none');
+  let end = getLinkEnd(styles.endArrow || 'classic');
+  let source = edge.source;
+  let target = edge.target;
   
-  // Edge type from style
-  let arrow = '-->';
-  if (edge.style) {
-    if (edge.style.includes('dashed')) {
-      arrow = '-.->';
-    } else if (edge.style.includes('strokeWidth=2') || edge.style.includes('strokeWidth=3')) {
-      arrow = '==>';
-    }
+  // Mermaid links only point forward, or both ways with the same marker
+  if (start && !end) {
+    [source, target] = [target, source];
+    [start, end] = [end, start];
+  } else if (start !== end) {
+    start = null;
+  }
+  
+  const stroke = styles.opacity === '0' || styles.strokeColor === 'none'
+    ? 'invisible'
+    : (styles.dashed === '1' ? 'dotted' : (parseFloat(styles.strokeWidth) > 3 ? 'thick' : 'normal'));
+  
+  const sourceRank = ranks.get(source);
+  const targetRank = ranks.get(target);
+  const length = sourceRank === undefined || targetRank === undefined
+    ? 1
+    : Math.max(1, Math.abs(targetRank - sourceRank));
+  
+  const link = buildFlowchartLink(stroke, start, end, length);
+  const rawLabel = [edge.sourceLabel, edge.label, edge.targetLabel].filter(Boolean).join(' ');
+  
+  // Invisible links cannot carry a label
+  if (rawLabel && stroke !== 'invisible') {
+    // End labels are joined as plain text, a lone formatted label keeps its markdown
+    const hasEndLabels = edge.sourceLabel || edge.targetLabel;
+    const label = edge.markdown && !hasEndLabels ? formatMarkdownLabel(edge.markdown) : escapeMermaidLabel(rawLabel);
+    return `${ids.get(source)} ${link}|${label}| ${ids.get(target)}`;
+  }
+  return `${ids.get(source)} ${link} ${ids.get(target)}`;
+}
+
+/**
+ * Map a draw.io arrow to a Mermaid link marker, null for no marker
+ */
+function getLinkEnd(arrow) {
+  switch (arrow) {
+    case 'none':
+      return null;
+    case 'oval':
+    case 'circle':
+    case 'circlePlus':
+      return 'o';
+    case 'cross':
+      return 'x';
+    default:
+      return '>';
   }
+}
+
+/**
+ * Build a Mermaid link from its stroke, markers and length
+ * e.g. normal: --- --> <--> --o o--o --->, dotted: -.- -.-> -..->, thick: === ==> ===>
+ */
+function buildFlowchartLink(stroke, start, end, length) {
+  const startMarker = start === '>' ? '<' : (start || '');
   
-  if (rawLabel) {
-    const label = escapeMermaidLabel(rawLabel);
-    return `${source} ${arrow}|${label}| ${target}`;
+  switch (stroke) {
+    case 'invisible':
+      return '~'.repeat(2 + length);
+    case 'dotted':
+      return `${startMarker}-${'.'.repeat(length)}-${end || ''}`;
+    case 'thick':
+      return `${startMarker}${'='.repeat(1 + length)}${end || '='}`;
+    default:
+      return `${startMarker}${'-'.repeat(1 + length)}${end || '-'}`;
   }
-  return `${source} ${arrow} ${target}`;
+}
+
+/**
+ * Rank nodes along the flow direction by grouping nodes whose centers line up
+ * A node joins the current rank while its center lies within the first node's extent
+ */
+function computeFlowchartRanks(nodes, direction) {
+  const vertical = direction === 'TD' || direction === 'TB' || direction === 'BT';
+  const boxes = nodes
+    .filter(node => node.width || node.height)
+    .map(node => ({
+      id: node.id,
+      center: vertical ? node.y + node.height / 2 : node.x + node.width / 2,
+      size: vertical ? node.height : node.width
+    }))
+    .sort((a, b) => a.center - b.center);
+  
+  const ranks = new Map();
+  let rank = -1;
+  let band = null;
+  boxes.forEach(box => {
+    if (!band || box.center - band.center >= band.size / 2) {
+      rank++;
+      band = box;
+    }
+    ranks.set(box.id, rank);
+  });
+  return ranks;
 }
 
 /**
  * Generate Mermaid sequence diagram
+ * Participants come from lifeline headers (left to right) and every
+ * message, activation, note and fragment is ordered by its y coordinate
  */
-function generateSequenceDiagram(nodes, edges) {
+function generateSequenceDiagram(nodes, edges, ids) {
   const lines = [];
   
   lines.push('sequenceDiagram');
   lines.push('');
   
+  const lifelines = nodes.filter(isLifelineNode);
+  const activations = nodes.filter(n => hasStyle(n, 'perimeter=orthogonalPerimeter') && !isLifelineNode(n));
+  const frames = nodes.filter(n => hasStyle(n, 'shape=umlFrame'));
+  const notes = nodes.filter(n => hasStyle(n, 'shape=note'));
+  const texts = nodes.filter(n => /^text;/.test(n.style || ''));
+  
+  // Without lifelines every plain node acts as a participant
+  const sequenceShapes = new Set([...activations, ...frames, ...notes, ...texts]);
+  const participants = (lifelines.length > 0 ? lifelines : nodes.filter(n => !sequenceShapes.has(n)))
+    .slice()
+    .sort((a, b) => a.x - b.x);
+  const participantIds = new Set(participants.map(p => p.id));
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  
   // Declare participants
-  nodes.forEach(node => {
-    const id = sanitizeId(node.id);
-    const label = escapeMermaidLabel(node.label || id);
-    if (node.shape === 'circle') {
-      lines.push(`    actor ${id} as ${label}`);
-    } else {
-      lines.push(`    participant ${id} as ${label}`);
-    }
+  participants.forEach(node => {
+    const id = ids.get(node.id);
+    const label = formatSequenceText(node.label || id);
+    const isActor = hasStyle(node, 'shape=umlActor') || hasStyle(node, 'participant=umlActor') || (lifelines.length === 0 && node.shape === 'circle');
+    lines.push(`    ${isActor ? 'actor' : 'participant'} ${id} as ${label}`);
   });
   
   lines.push('');
   
-  // Add messages
+  // Find the participant whose lifeline runs through an x coordinate
+  const findParticipantAt = (x) => {
+    let best = null;
+    let bestDistance = Infinity;
+    participants.forEach(p => {
+      const distance = x >= p.x && x <= p.x + p.width ? 0 : Math.abs(p.x + p.width / 2 - x);
+      if (distance < bestDistance) {
+        best = p;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+  
+  // Resolve a message end (activation bar, lifeline or loose point) to a participant
+  const resolveParticipant = (cellId, point) => {
+    const node = cellId ? nodeById.get(cellId) : null;
+    if (node && participantIds.has(node.id)) return node;
+    if (node) return findParticipantAt(node.x + node.width / 2);
+    if (point) return findParticipantAt(point.x);
+    return null;
+  };
+  
+  // y coordinate of a message, from its loose ends, waypoints or connection constraints
+  const getMessageY = (edge) => {
+    if (edge.sourcePoint) return edge.sourcePoint.y;
+    if (edge.targetPoint) return edge.targetPoint.y;
+    if (edge.points && edge.points.length > 0) return edge.points[0].y;
+    
+    const styles = parseStyleString(edge.style);
+    const source = nodeById.get(edge.source);
+    const target = nodeById.get(edge.target);
+    if (source && !participantIds.has(source.id)) {
+      return source.y + source.height * (styles.exitY !== undefined ? parseFloat(styles.exitY) : 0.5);
+    }
+    if (target && !participantIds.has(target.id)) {
+      return target.y + target.height * (styles.entryY !== undefined ? parseFloat(styles.entryY) : 0.5);
+    }
+    const ends = [source, target].filter(Boolean);
+    return ends.reduce((sum, n) => sum + n.y + n.height / 2, 0) / (ends.length || 1);
+  };
+  
+  // Text cell such as "[x > 0]" just below a y coordinate inside a frame
+  const usedTexts = new Set();
+  const findGuardText = (frame, y) => {
+    const guard = texts.find(t =>
+      !usedTexts.has(t) &&
+      t.y >= y - 5 && t.y <= y + 30 &&
+      t.x >= frame.x && t.x <= frame.x + frame.width &&
+      /^[\[(].*[\])]$/.test(t.label || '')
+    );
+    if (!guard) return '';
+    usedTexts.add(guard);
+    return stripGuard(guard.label);
+  };
+  
+  const events = [];
+  const ACTIVATION_TOLERANCE = 10;
+  
+  // Messages
   edges.forEach(edge => {
-    if (!edge.source || !edge.target) return;
-    const source = sanitizeId(edge.source);
-    const target = sanitizeId(edge.target);
-    const label = escapeMermaidLabel(edge.label || 'message');
+    const styles = parseStyleString(edge.style);
+    
+    // Dashed lines without arrows split alt/par frames into sections
+    const isSeparator = !edge.source && !edge.target && styles.endArrow === 'none' && styles.dashed === '1';
+    if (isSeparator) {
+      const y = edge.sourcePoint?.y ?? edge.targetPoint?.y;
+      if (y === undefined) return;
+      events.push({ y, order: 0, type: 'separator', label: edge.label });
+      return;
+    }
+    
+    const source = resolveParticipant(edge.source, edge.sourcePoint);
+    const target = resolveParticipant(edge.target, edge.targetPoint);
+    if (!source || !target) return;
+    
+    const arrow = getSequenceArrow(styles);
+    const label = formatSequenceText(edge.label || '');
+    events.push({
+      y: getMessageY(edge),
+      order: 1,
+      text: `${ids.get(source.id)}${arrow}${ids.get(target.id)}: ${label}`
+    });
+  });
+  
+  // Activation bars
+  activations.forEach(bar => {
+    const owner = findParticipantAt(bar.x + bar.width / 2);
+    if (!owner) return;
+    const id = ids.get(owner.id);
+    events.push({ y: bar.y + ACTIVATION_TOLERANCE, order: 2, text: `activate ${id}` });
+    events.push({ y: bar.y + bar.height + ACTIVATION_TOLERANCE, order: 2, text: `deactivate ${id}` });
+  });
+  
+  // Combined fragments
+  frames.forEach(frame => {
+    const [kind = '', ...rest] = (frame.label || '').split(/\s+/);
+    const keyword = SEQUENCE_FRAGMENTS.includes(kind.toLowerCase()) ? kind.toLowerCase() : 'opt';
+    let condition = stripGuard(SEQUENCE_FRAGMENTS.includes(kind.toLowerCase()) ? rest.join(' ') : frame.label || '');
+    if (!condition) {
+      condition = findGuardText(frame, frame.y);
+    }
+    const area = frame.width * frame.height;
+    events.push({ y: frame.y, order: 0, size: -area, type: 'frameStart', text: `${keyword} ${formatSequenceText(condition)}`.trim(), frame, keyword });
+    events.push({ y: frame.y + frame.height, order: 3, size: area, type: 'frameEnd', text: 'end' });
+  });
+  
+  // Notes
+  notes.forEach(note => {
+    const covered = participants.filter(p => {
+      const center = p.x + p.width / 2;
+      return center >= note.x && center <= note.x + note.width;
+    });
+    const text = formatSequenceText(note.label || '');
+    let placement;
+    if (covered.length > 0) {
+      const ends = [covered[0], covered[covered.length - 1]].map(p => ids.get(p.id));
+      placement = `over ${covered.length > 1 ? ends.join(',') : ends[0]}`;
+    } else {
+      const nearest = findParticipantAt(note.x + note.width / 2);
+      if (!nearest) return;
+      const side = note.x + note.width / 2 < nearest.x + nearest.width / 2 ? 'left of' : 'right of';
+      placement = `${side} ${ids.get(nearest.id)}`;
+    }
+    events.push({ y: note.y, order: 1, text: `Note ${placement}: ${text}` });
+  });
+  
+  events.sort((a, b) => a.y - b.y || a.order - b.order || (a.size || 0) - (b.size || 0));
+  
+  // Emit, tracking open fragments for indentation and separator keywords
+  const openFrames = [];
+  events.forEach(event => {
+    if (event.type === 'frameEnd') {
+      if (openFrames.length === 0) return;
+      openFrames.pop();
+      lines.push(`${'    '.repeat(openFrames.length + 1)}end`);
+      return;
+    }
     
-    let arrow = '->>';
-    if (edge.style && edge.style.includes('dashed')) {
-      arrow = '-->>';
+    const indent = '    '.repeat(openFrames.length + 1);
+    
+    if (event.type === 'separator') {
+      const current = openFrames[openFrames.length - 1];
+      if (!current || !['alt', 'par', 'critical'].includes(current.keyword)) return;
+      const keyword = current.keyword === 'alt' ? 'else' : (current.keyword === 'par' ? 'and' : 'option');
+      const condition = event.label ? stripGuard(event.label) : findGuardText(current.frame, event.y);
+      lines.push(`${'    '.repeat(openFrames.length)}${keyword} ${formatSequenceText(condition)}`.trimEnd());
+      return;
     }
     
-    lines.push(`    ${source}${arrow}${target}: ${label}`);
+    lines.push(`${indent}${event.text}`);
+    if (event.type === 'frameStart') {
+      openFrames.push(event);
+    }
   });
   
   return lines.join('\n');
 }
 
+/**
+ * Mermaid combined fragment keywords
+ */
+const SEQUENCE_FRAGMENTS = ['alt', 'opt', 'loop', 'par', 'critical', 'break'];
+
+/**
+ * Check if a node is a UML lifeline or a standalone actor
+ */
+function isLifelineNode(node) {
+  return hasStyle(node, 'shape=umlLifeline') || hasStyle(node, 'shape=umlActor');
+}
+
+/**
+ * Check if a node's style contains a token
+ */
+function hasStyle(node, token) {
+  return !!node.style && node.style.includes(token);
+}
+
+/**
+ * Map a draw.io message style to a Mermaid sequence arrow
+ */
+function getSequenceArrow(styles) {
+  const dashed = styles.dashed === '1';
+  
+  switch (styles.endArrow) {
+    case 'none':
+      return dashed ? '-->' : '->';
+    case 'cross':
+      return dashed ? '--x' : '-x';
+    case 'open':
+      // Dashed open arrows are UML return messages, solid ones are asynchronous
+      return dashed ? '-->>' : '-)';
+    case 'openAsync':
+      return dashed ? '--)' : '-)';
+    default:
+      return dashed ? '-->>' : '->>';
+  }
+}
+
+/**
+ * Strip the brackets around a UML guard; a bare "else" carries no condition
+ */
+function stripGuard(text) {
+  const guard = text.trim().replace(/^[\[(]\s*|\s*[\])]$/g, '');
+  return guard.toLowerCase() === 'else' ? '' : guard;
+}
+
+/**
+ * Format text for a sequence diagram line (no quoting, single line)
+ */
+function formatSequenceText(text) {
+  return text
+    .replace(/\n/g, '<br/>')
+    .replace(/;/g, '#59;');
+}
+
 /**
  * Generate Mermaid class diagram
+ * Classes drawn inside a container are declared in a namespace named after it
  */
-function generateClassDiagram(nodes, edges) {
+function generateClassDiagram(nodes, edges, ids) {
   const lines = [];
   
   lines.push('classDiagram');
   lines.push('');
   
   // 1. Declare classes
+  const declarations = new Map();
   nodes.forEach(node => {
     // Sanitize ID for Mermaid syntax
-    const id = sanitizeId(node.id);
+    const id = ids.get(node.id);
     const rawName = node.name || node.label || id;
     
     // Clean name for display (remove markdown bolding if present)
-    let displayName = rawName.replace(/\*\*/g, '');
+    // Stereotypes («interface», <<enumeration>>) become annotations
+    const { name: displayName, annotations } = parseClassTitle(rawName.replace(/\*\*/g, ''));
+    if (node.abstract && !annotations.includes('abstract')) {
+      annotations.push('abstract');
+    }
     
     // If ID is auto-generated (n_...), try to use a meaningful alias if Name is different
-    // Syntax: class ID["Name"]
+    // Syntax: class ID["Name"], or class ID~T~ for a generic class named after its ID
     // Only use quotes if strictly necessary or if name differs from ID
-    const nameNeedsQuotes = /[^a-zA-Z0-9_]/.test(displayName) || displayName !== id;
-    const classDef = nameNeedsQuotes ? `class ${id}["${displayName}"]` : `class ${id}`;
-
-    if (node.members && node.members.length > 0) {
-        lines.push(`    ${classDef} {`);
-        node.members.forEach(member => {
-            // User requested to remove "+" from first attributes.
-            // We'll just output the member as is, or maybe clean it but not force visibility.
-            let cleanMember = member.trim();
-            lines.push(`        ${cleanMember}`);
-        });
-        lines.push(`    }`);
+    const generic = displayName.match(/^(.+?)<(.+)>$/);
+    const isGenericId = generic && generic[1] === id;
+    const nameNeedsQuotes = !isGenericId && (/[^a-zA-Z0-9_]/.test(displayName) || displayName !== id);
+    const classDef = isGenericId
+      ? `class ${id}~${toMermaidGeneric(generic[2])}~`
+      : (nameNeedsQuotes ? `class ${id}["${displayName.replace(/"/g, '#quot;')}"]` : `class ${id}`);
+    
+    // Members keep their own visibility, "+" is never forced
+    const details = node.memberDetails || (node.members || []).map(label => ({ label }));
+    const members = details.map(parseClassMember).filter(Boolean);
+    
+    const declaration = [];
+    if (members.length > 0 || annotations.length > 0) {
+        declaration.push(`${classDef} {`);
+        annotations.forEach(annotation => declaration.push(`    <<${annotation}>>`));
+        members.forEach(member => declaration.push(`    ${member}`));
+        declaration.push(`}`);
     } else {
-        lines.push(`    ${classDef}`);
+        declaration.push(classDef);
+    }
+    
+    const namespace = node.parent || null;
+    if (!declarations.has(namespace)) declarations.set(namespace, []);
+    declarations.get(namespace).push(...declaration);
+  });
+  
+  declarations.forEach((declaration, namespace) => {
+    if (namespace === null) {
+      declaration.forEach(line => lines.push(`    ${line}`));
+      return;
     }
+    lines.push(`    namespace ${ids.get(namespace)} {`);
+    declaration.forEach(line => lines.push(`        ${line}`));
+    lines.push(`    }`);
   });
   
   lines.push('');
@@ -229,49 +873,708 @@ function generateClassDiagram(nodes, edges) {
   // 2. Add relationships
   edges.forEach(edge => {
     if (!edge.source || !edge.target) return;
-    const source = sanitizeId(edge.source);
-    const target = sanitizeId(edge.target);
-    
-    // Default relationship
-    let relation = '-->';
-    
-    // Attempt to map Draw.io styles to Mermaid relationships
-    if (edge.style) {
-      if (edge.style.includes('endArrow=diamondThin') || edge.style.includes('endArrow=diamond')) {
-        relation = 'o--'; // Aggregation
-      } else if (edge.style.includes('endArrow=block') && edge.style.includes('dashed')) {
-        relation = '..|>'; // Realization
-      } else if (edge.style.includes('endArrow=block')) {
-        relation = '--|>'; // Inheritance
-      } else if (edge.style.includes('dashed')) {
-          relation = '..>'; // Dependency
+    const source = ids.get(edge.source);
+    const target = ids.get(edge.target);
+    
+    // Map each draw.io arrow end to a Mermaid relation end
+    const styles = parseStyleString(edge.style);
+    const left = CLASS_LEFT_ENDS[getClassArrowEnd(styles.startArrow || 'none', styles.startFill)];
+    const right = CLASS_RIGHT_ENDS[getClassArrowEnd(styles.endArrow || 'classic', styles.endFill)];
+    const relation = `${left}${styles.dashed === '1' ? '..' : '--'}${right}`;
+    
+    // Multiplicities drawn at the edge ends become cardinality strings
+    const sourceCardinality = edge.sourceLabel ? `"${edge.sourceLabel.replace(/"/g, '#quot;')}" ` : '';
+    const targetCardinality = edge.targetLabel ? ` "${edge.targetLabel.replace(/"/g, '#quot;')}"` : '';
+    
+    // Edges drawn to a member row connect the class, the row is kept in the label
+    const rows = [edge.sourceRow, edge.targetRow].filter(Boolean).join(', ');
+    const text = [edge.label, rows && `via ${rows}`].filter(Boolean).join(' ');
+    const label = text ? ` : ${formatClassRelationLabel(text)}` : '';
+    lines.push(`    ${source} ${sourceCardinality}${relation}${targetCardinality} ${target}${label}`);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a class relation label
+ * The label runs to the end of the line and quotes would be shown, so only the
+ * characters that end it early are written as entity codes
+ */
+function formatClassRelationLabel(text) {
+  return text
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/;/g, '#59;')
+    .replace(/:/g, '#58;');
+}
+
+/**
+ * Mermaid relation ends, written before (left) or after (right) the line
+ */
+const CLASS_LEFT_ENDS = { inheritance: '<|', composition: '*', aggregation: 'o', association: '<', none: '' };
+const CLASS_RIGHT_ENDS = { inheritance: '|>', composition: '*', aggregation: 'o', association: '>', none: '' };
+
+/**
+ * Map a draw.io arrow to a UML relation end
+ * Diamonds are compositions when filled (draw.io's default) and aggregations when hollow
+ */
+function getClassArrowEnd(arrow, fill) {
+  switch (arrow) {
+    case 'block':
+    case 'blockThin':
+      return 'inheritance';
+    case 'diamond':
+    case 'diamondThin':
+      return fill === '0' ? 'aggregation' : 'composition';
+    case 'none':
+      return 'none';
+    default:
+      return 'association';
+  }
+}
+
+/**
+ * Split a class title into its name and stereotypes
+ */
+function parseClassTitle(title) {
+  const annotations = [];
+  const name = title
+    .replace(/<<\s*([^>]+?)\s*>>|«\s*([^»]+?)\s*»/g, (match, ascii, guillemet) => {
+      annotations.push(ascii || guillemet);
+      return '';
+    })
+    .split('\n')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(' ');
+  
+  return { name: name || title.trim(), annotations };
+}
+
+/**
+ * Normalize a UML member to Mermaid form
+ * "+ name: Type" becomes "+Type name", "+ op(a: int): bool" becomes "+op(int a) bool";
+ * underline adds the static ($) classifier and italics the abstract (*) one
+ */
+function parseClassMember(detail) {
+  let text = detail.label.replace(/\s+/g, ' ').trim();
+  if (!text || /^-{3,}$/.test(text)) return null;
+  
+  let visibility = '';
+  if (/^[+\-#~]/.test(text)) {
+    visibility = text[0];
+    text = text.slice(1).trim();
+  }
+  
+  let classifier = detail.underline ? '$' : (detail.italic ? '*' : '');
+  const inlineClassifier = text.match(/[$*]$/);
+  if (inlineClassifier) {
+    classifier = classifier || inlineClassifier[0];
+    text = text.slice(0, -1).trim();
+  }
+  
+  const open = text.indexOf('(');
+  const close = text.lastIndexOf(')');
+  
+  // Method
+  if (open > 0 && close > open) {
+    const name = text.slice(0, open).trim();
+    // Commas inside generics (Map<K, V>) do not separate parameters
+    const args = splitParameters(text.slice(open + 1, close))
+      .map(arg => toTypeFirst(arg.trim()))
+      .filter(Boolean)
+      .join(', ');
+    const returnType = text.slice(close + 1).replace(/^\s*:\s*/, '').trim();
+    return `${visibility}${name}(${args})${returnType ? ` ${toMermaidGeneric(returnType)}` : ''}${classifier}`;
+  }
+  
+  // Attribute
+  return `${visibility}${toTypeFirst(text)}${classifier}`;
+}
+
+/**
+ * Split a UML parameter list on the commas outside angle brackets
+ */
+function splitParameters(text) {
+  const parts = [''];
+  let depth = 0;
+  
+  [...text].forEach(char => {
+    if (char === '<') depth++;
+    if (char === '>') depth--;
+    if (char === ',' && depth <= 0) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  });
+  
+  return parts;
+}
+
+/**
+ * Turn UML "name: Type [= default]" into Mermaid "Type name [= default]"
+ */
+function toTypeFirst(text) {
+  const match = text.match(/^([^:=]+?)\s*:\s*([^=]+?)\s*(=\s*.+)?$/);
+  if (!match) return toMermaidGeneric(text);
+  
+  const [, name, type, defaultValue] = match;
+  return `${toMermaidGeneric(type)} ${name}${defaultValue ? ` ${defaultValue}` : ''}`;
+}
+
+/**
+ * Write generics with tildes (List<String> becomes List~String~)
+ */
+function toMermaidGeneric(type) {
+  return type.replace(/</g, '~').replace(/>/g, '~');
+}
+
+/**
+ * Generate Mermaid state diagram (stateDiagram-v2)
+ * Containers become composite states, start/end shapes become [*], a composite
+ * holding only unlabeled containers is split into concurrent regions, and
+ * notes linked to a state become "note left of" / "note right of"
+ */
+function generateStateDiagram(allNodes, allEdges, containers, ids) {
+  const lines = [];
+  
+  lines.push('stateDiagram-v2');
+  
+  // Notes are attached to the state at the other end of their line
+  const noteIds = new Set(allNodes.filter(n => hasStyle(n, 'shape=note')).map(n => n.id));
+  const nodes = allNodes.filter(n => !noteIds.has(n.id));
+  const edges = allEdges.filter(e => !noteIds.has(e.source) && !noteIds.has(e.target));
+  
+  const containerIds = new Set(containers.map(c => c.id));
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  const parentOf = new Map();
+  nodes.forEach(n => parentOf.set(n.id, n.parent || null));
+  containers.forEach(c => parentOf.set(c.id, c.parent || null));
+  
+  // Degrees tell forks (one in, many out) from joins (many in, one out)
+  const inDegree = new Map();
+  const outDegree = new Map();
+  edges.forEach(edge => {
+    inDegree.set(edge.target, (inDegree.get(edge.target) || 0) + 1);
+    outDegree.set(edge.source, (outDegree.get(edge.source) || 0) + 1);
+  });
+  
+  const kinds = new Map();
+  nodes.forEach(node => {
+    kinds.set(node.id, getStateKind(node, inDegree.get(node.id) || 0, outDegree.get(node.id) || 0));
+  });
+  
+  // Transitions live in the innermost composite holding both ends;
+  // [*] always refers to the composite its pseudo-state was drawn in
+  const getAncestors = (id) => {
+    const chain = [];
+    let current = parentOf.get(id) || null;
+    while (current) {
+      chain.push(current);
+      current = parentOf.get(current) || null;
+    }
+    return chain;
+  };
+  
+  const getTransitionScope = (edge) => {
+    if (kinds.get(edge.source) === 'initial') return parentOf.get(edge.source) || null;
+    if (kinds.get(edge.target) === 'final') return parentOf.get(edge.target) || null;
+    const targetAncestors = new Set(getAncestors(edge.target));
+    return getAncestors(edge.source).find(id => targetAncestors.has(id)) || null;
+  };
+  
+  const formatEnd = (id) => {
+    const kind = kinds.get(id);
+    return kind === 'initial' || kind === 'final' ? '[*]' : ids.get(id);
+  };
+  
+  const notesByScope = new Map();
+  allNodes.filter(n => noteIds.has(n.id)).forEach(note => {
+    const link = allEdges.find(e => (e.source === note.id && nodeById.has(e.target)) || (e.target === note.id && nodeById.has(e.source)));
+    if (!link) return;
+    
+    const state = nodeById.get(link.source === note.id ? link.target : link.source);
+    const side = note.x + note.width / 2 < state.x + state.width / 2 ? 'left of' : 'right of';
+    const text = (note.label || '').trim();
+    const noteLines = text.includes('\n')
+      ? [`note ${side} ${ids.get(state.id)}`, ...text.split('\n').map(line => `    ${line}`), 'end note']
+      : [`note ${side} ${ids.get(state.id)} : ${text}`];
+    
+    const scope = parentOf.get(state.id) || null;
+    if (!notesByScope.has(scope)) {
+      notesByScope.set(scope, []);
+    }
+    notesByScope.get(scope).push(...noteLines);
+  });
+  
+  const transitionsByScope = new Map();
+  edges.forEach(edge => {
+    const isKnown = (id) => nodeById.has(id) || containerIds.has(id);
+    if (!isKnown(edge.source) || !isKnown(edge.target)) return;
+    
+    const scope = getTransitionScope(edge);
+    const label = formatTransitionLabel(edge.label);
+    const line = `${formatEnd(edge.source)} --> ${formatEnd(edge.target)}${label ? ` : ${label}` : ''}`;
+    if (!transitionsByScope.has(scope)) {
+      transitionsByScope.set(scope, []);
+    }
+    transitionsByScope.get(scope).push(line);
+  });
+  
+  const emitScope = (parentId, depth) => {
+    const indent = '    '.repeat(depth);
+    
+    nodes.filter(node => (node.parent || null) === parentId).forEach(node => {
+      const id = ids.get(node.id);
+      const kind = kinds.get(node.id);
+      
+      if (kind === 'initial' || kind === 'final') return;
+      if (kind !== 'state') {
+        lines.push(`${indent}state ${id} <<${kind}>>`);
+        return;
+      }
+      
+      const title = formatStateText((node.name || node.label || '').replace(/\*\*/g, '').split('\n')[0]);
+      lines.push(title && title !== id ? `${indent}state "${title}" as ${id}` : `${indent}${id}`);
+      
+      // Compartment rows (entry / do / exit activities) become descriptions
+      if (node.type === 'class' && node.members) {
+        node.members.forEach(member => lines.push(`${indent}${id} : ${formatStateText(member)}`));
       }
+    });
+    
+    containers.filter(container => (container.parent || null) === parentId).forEach(container => {
+      const id = ids.get(container.id);
+      const title = formatStateText(container.label || '');
+      if (title && title !== id) {
+        lines.push(`${indent}state "${title}" as ${id}`);
+      }
+      lines.push(`${indent}state ${id} {`);
+      
+      // Concurrent regions are separated by "--"
+      const regions = containers.filter(c => c.parent === container.id);
+      const isConcurrent = regions.length > 1 &&
+        regions.every(region => !region.label) &&
+        !nodes.some(node => node.parent === container.id);
+      if (isConcurrent) {
+        regions.forEach((region, index) => {
+          if (index > 0) lines.push(`${indent}    --`);
+          emitScope(region.id, depth + 1);
+        });
+      } else {
+        emitScope(container.id, depth + 1);
+      }
+      lines.push(`${indent}}`);
+    });
+    
+    (transitionsByScope.get(parentId) || []).forEach(line => lines.push(`${indent}${line}`));
+    (notesByScope.get(parentId) || []).forEach(line => lines.push(`${indent}${line}`));
+  };
+  
+  emitScope(null, 1);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Largest small ellipse drawn as an initial or final state
+ */
+const STATE_MARKER_SIZE = 40;
+
+/**
+ * Tell the initial and final state markers apart from other shapes
+ * UML shapes, filled double ellipses and small ellipses: filled is initial, double is final
+ * Returns 'initial', 'final' or null
+ */
+function getStateMarker(node) {
+  const isFilled = isBlackFill(node);
+  const isSmall = Math.max(node.width, node.height) <= STATE_MARKER_SIZE;
+  
+  if (hasStyle(node, 'shape=startState')) return 'initial';
+  if (hasStyle(node, 'shape=endState')) return 'final';
+  if (hasStyle(node, 'shape=doubleEllipse') && (isFilled || isSmall)) return 'final';
+  if ((node.shape === 'circle' || hasStyle(node, 'ellipse')) && isFilled && isSmall) return 'initial';
+  return null;
+}
+
+function isBlackFill(node) {
+  const fill = (normalizeColor(parseStyleString(node.style).fillColor) || '').toLowerCase();
+  return ['#000000', '#000', 'black'].includes(fill);
+}
+
+/**
+ * Classify a draw.io UML state shape
+ */
+function getStateKind(node, inDegree, outDegree) {
+  const isFilled = isBlackFill(node);
+  const marker = getStateMarker(node);
+  
+  if (marker) return marker;
+  if (node.shape === 'circle' && isFilled) return 'initial';
+  if (node.shape === 'diamond') return 'choice';
+  
+  // Fork/join bars: draw.io line shape or a thin filled bar
+  const isBar = hasStyle(node, 'shape=line') ||
+    (isFilled && Math.max(node.width, node.height) >= 4 * Math.min(node.width, node.height));
+  if (isBar) {
+    return inDegree > 1 && outDegree <= 1 ? 'join' : 'fork';
+  }
+  
+  return 'state';
+}
+
+/**
+ * Normalize a transition label to "event [guard] / action"
+ */
+function formatTransitionLabel(label) {
+  if (!label) return '';
+  
+  const text = label.replace(/\s+/g, ' ').trim();
+  const match = text.match(/^([^\[\/]*)(\[[^\]]*\])?\s*(?:\/\s*(.*))?$/);
+  if (!match) return formatStateText(text);
+  
+  const [, event, guard, action] = match;
+  const parts = [];
+  if (event.trim()) parts.push(event.trim());
+  if (guard) parts.push(`[${guard.slice(1, -1).trim()}]`);
+  if (action && action.trim()) parts.push(`/ ${action.trim()}`);
+  
+  return formatStateText(parts.join(' '));
+}
+
+/**
+ * Format text for a state diagram line (single line, double quotes as entity codes)
+ */
+function formatStateText(text) {
+  return text
+    .replace(/\n/g, '<br/>')
+    .replace(/"/g, '#quot;');
+}
+
+/**
+ * Generate Mermaid mindmap from a rooted tree
+ * The root's branches are walked clockwise, deeper levels along their spread
+ */
+function generateMindmap(nodes, edges, ids) {
+  const lines = [];
+  
+  lines.push('mindmap');
+  
+  const tree = buildTree(nodes, edges);
+  if (!tree) return lines.join('\n');
+  
+  const { root, children } = tree;
+  const center = (n) => ({ x: n.x + n.width / 2, y: n.y + n.height / 2 });
+  
+  const orderChildren = (parent, list) => {
+    const origin = center(parent);
+    const points = list.map(center);
+    const hasLeft = points.some(p => p.x < origin.x);
+    const hasRight = points.some(p => p.x > origin.x);
+    const isOrgChart = points.every(p => p.y > origin.y) || points.every(p => p.y < origin.y);
+    
+    // Radial maps (branches on both sides of the root): clockwise from 12 o'clock
+    if (parent === root && hasLeft && hasRight && !isOrgChart) {
+      const angle = (n) => {
+        const p = center(n);
+        const a = Math.atan2(p.x - origin.x, origin.y - p.y);
+        return a < 0 ? a + 2 * Math.PI : a;
+      };
+      return list.slice().sort((a, b) => angle(a) - angle(b));
+    }
+    
+    // Trees: follow the axis the siblings are spread along
+    const spreadX = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+    const spreadY = Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y));
+    return list.slice().sort((a, b) => spreadX > spreadY
+      ? center(a).x - center(b).x || center(a).y - center(b).y
+      : center(a).y - center(b).y || center(a).x - center(b).x);
+  };
+  
+  const emit = (node, depth) => {
+    lines.push(`${'  '.repeat(depth)}${formatMindmapNode(node, ids)}`);
+    const { icon, class: classes } = node.properties || {};
+    if (icon) lines.push(`${'  '.repeat(depth + 1)}::icon(${icon})`);
+    if (classes) lines.push(`${'  '.repeat(depth + 1)}:::${classes}`);
+    const list = children.get(node.id) || [];
+    orderChildren(node, list).forEach(child => emit(child, depth + 1));
+  };
+  
+  emit(root, 1);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Build a spanning tree over the nodes, ignoring edge direction
+ * The root is the source of a directed tree, or else the best connected
+ * (then largest) node. Disconnected nodes hang from the root.
+ */
+function buildTree(nodes, edges) {
+  if (nodes.length === 0) return null;
+  
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  const neighbors = new Map(nodes.map(n => [n.id, []]));
+  const inDegree = new Map(nodes.map(n => [n.id, 0]));
+  
+  edges.forEach(edge => {
+    if (!nodeById.has(edge.source) || !nodeById.has(edge.target) || edge.source === edge.target) return;
+    neighbors.get(edge.source).push(edge.target);
+    neighbors.get(edge.target).push(edge.source);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+  
+  // Edges of a directed tree all point away from a single source, even
+  // arrowless mind map connectors when they were drawn from parent to child
+  const sources = nodes.filter(n => inDegree.get(n.id) === 0);
+  const isDirected = sources.length === 1 && nodes.every(n => n === sources[0] || inDegree.get(n.id) === 1);
+  const root = isDirected
+    ? sources[0]
+    : nodes.slice().sort((a, b) =>
+        neighbors.get(b.id).length - neighbors.get(a.id).length ||
+        b.width * b.height - a.width * a.height
+      )[0];
+  
+  const children = new Map(nodes.map(n => [n.id, []]));
+  const visited = new Set([root.id]);
+  
+  const walk = (startId) => {
+    const queue = [startId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      neighbors.get(id).forEach(next => {
+        if (visited.has(next)) return;
+        visited.add(next);
+        children.get(id).push(nodeById.get(next));
+        queue.push(next);
+      });
+    }
+  };
+  
+  walk(root.id);
+  nodes.forEach(node => {
+    if (visited.has(node.id)) return;
+    visited.add(node.id);
+    children.get(root.id).push(node);
+    walk(node.id);
+  });
+  
+  return { root, children };
+}
+
+/**
+ * Check if nodes and edges form one connected tree
+ */
+function isRootedTree(nodes, edges) {
+  if (nodes.length < 2) return false;
+  
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const treeEdges = edges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target) && e.source !== e.target);
+  if (treeEdges.length !== nodes.length - 1) return false;
+  
+  // n - 1 edges make a tree exactly when every node is reachable
+  const neighbors = new Map(nodes.map(n => [n.id, []]));
+  treeEdges.forEach(e => {
+    neighbors.get(e.source).push(e.target);
+    neighbors.get(e.target).push(e.source);
+  });
+  
+  const reached = new Set([nodes[0].id]);
+  const queue = [nodes[0].id];
+  while (queue.length > 0) {
+    neighbors.get(queue.shift()).forEach(next => {
+      if (reached.has(next)) return;
+      reached.add(next);
+      queue.push(next);
+    });
+  }
+  
+  return reached.size === nodes.length;
+}
+
+/**
+ * Format a node for mindmap, mapping draw.io shapes to mindmap shapes
+ * Nodes that had no ID in the Mermaid source are written without one
+ */
+function formatMindmapNode(node, ids) {
+  const id = hasStyle(node, 'mindmapImplicitId=1') ? '' : ids.get(node.id);
+  const plainLabel = escapeMermaidLabel((node.label || id).replace(/\n/g, ' '));
+  const label = node.markdown ? formatMarkdownLabel(node.markdown) : plainLabel;
+  
+  // Plain text and underlined branch labels have no border
+  if (/^text;/.test(node.style || '') || hasStyle(node, 'shape=partialRectangle')) {
+    return plainLabel;
+  }
+  
+  if (hasStyle(node, 'mindmapShape=bang')) {
+    return `${id}))${label}((`;
+  }
+  
+  switch (node.shape) {
+    case 'circle':
+      return `${id}((${label}))`;
+    case 'rounded':
+      return `${id}(${label})`;
+    case 'cloud':
+      return `${id})${label}(`;
+    case 'hexagon':
+      return `${id}{{${label}}}`;
+    default:
+      return `${id}[${label}]`;
+  }
+}
+
+/**
+ * Generate Mermaid ER diagram
+ * Table and stack-layout entities become entities with typed attributes,
+ * crow's-foot edge ends become cardinality tokens
+ */
+function generateErDiagram(nodes, edges, ids) {
+  const lines = [];
+  
+  lines.push('erDiagram');
+  lines.push('');
+  
+  // Entity names are what Mermaid displays, so derive them from labels
+  const entityNames = new Map();
+  const usedNames = new Set();
+  nodes.forEach(node => {
+    const title = (node.name || node.label || '').replace(/\*\*/g, '').split('\n')[0];
+    let name = toErIdentifier(title) || ids.get(node.id);
+    let candidate = name;
+    let suffix = 2;
+    while (usedNames.has(candidate)) {
+      candidate = `${name}_${suffix++}`;
+    }
+    usedNames.add(candidate);
+    entityNames.set(node.id, candidate);
+  });
+  
+  // 1. Declare entities
+  nodes.forEach(node => {
+    const name = entityNames.get(node.id);
+    const attributes = (node.rows || []).map(parseErAttribute).filter(Boolean);
+    
+    if (attributes.length === 0) {
+      lines.push(`    ${name}`);
+      return;
     }
     
-    const label = edge.label ? ` : ${escapeMermaidLabel(edge.label)}` : '';
-    lines.push(`    ${source} ${relation} ${target}${label}`);
+    lines.push(`    ${name} {`);
+    attributes.forEach(attr => {
+      const keys = attr.keys.length > 0 ? ` ${attr.keys.join(', ')}` : '';
+      const comment = attr.comment ? ` "${attr.comment.replace(/"/g, '#quot;')}"` : '';
+      lines.push(`        ${attr.type} ${attr.name}${keys}${comment}`);
+    });
+    lines.push('    }');
+  });
+  
+  lines.push('');
+  
+  // 2. Add relationships
+  edges.forEach(edge => {
+    if (!entityNames.has(edge.source) || !entityNames.has(edge.target)) return;
+    
+    const styles = parseStyleString(edge.style);
+    const left = ER_LEFT_TOKENS[getErCardinality(styles.startArrow)];
+    const right = ER_RIGHT_TOKENS[getErCardinality(styles.endArrow)];
+    const line = styles.dashed === '1' ? '..' : '--';
+    const label = edge.label ? edge.label.replace(/\n/g, ' ') : '';
+    const relationship = /^[A-Za-z0-9_-]+$/.test(label) ? label : `"${label.replace(/"/g, '#quot;')}"`;
+    
+    lines.push(`    ${entityNames.get(edge.source)} ${left}${line}${right} ${entityNames.get(edge.target)} : ${relationship}`);
   });
   
   return lines.join('\n');
 }
 
 /**
- * Sanitize ID for Mermaid (no spaces, special chars)
+ * Mermaid cardinality tokens for the left and right end of a relationship
+ */
+const ER_LEFT_TOKENS = { one: '||', zeroOrOne: '|o', zeroOrMore: '}o', oneOrMore: '}|' };
+const ER_RIGHT_TOKENS = { one: '||', zeroOrOne: 'o|', zeroOrMore: 'o{', oneOrMore: '|{' };
+
+/**
+ * Map a draw.io ER arrow (ERmandOne, ERzeroToMany...) to a cardinality
  */
-function sanitizeId(id) {
-  if (!id) return 'node';
+function getErCardinality(arrow) {
+  switch (arrow) {
+    case 'ERzeroToOne':
+      return 'zeroOrOne';
+    case 'ERoneToMany':
+      return 'oneOrMore';
+    case 'ERzeroToMany':
+    case 'ERmany':
+      return 'zeroOrMore';
+    default:
+      // ERmandOne, ERone and plain lines read as exactly one
+      return 'one';
+  }
+}
+
+/**
+ * Parse the cells of a table row into an ER attribute
+ * Accepts "name type", "name: type" and a separate key column (PK, FK, UK)
+ */
+function parseErAttribute(cells) {
+  const keys = [];
+  const parts = [];
   
-  // Replace spaces and special characters
-  let sanitized = id
-    .replace(/\s+/g, '_')
-    .replace(/[^A-Za-z0-9_]/g, '');
+  cells.forEach(cell => {
+    if (ER_KEY_CELL.test(cell)) {
+      keys.push(...cell.toUpperCase().split(/[\s,\/]+/).filter(Boolean));
+    } else if (cell) {
+      parts.push(cell);
+    }
+  });
   
-  // Ensure starts with letter or underscore
-  if (/^[0-9]/.test(sanitized)) {
-    sanitized = 'n_' + sanitized;
+  const text = parts.join(' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  
+  let name;
+  let rest;
+  const colonMatch = text.match(/^([^:]+):\s*(.*)$/);
+  if (colonMatch) {
+    name = colonMatch[1].trim();
+    rest = colonMatch[2].split(' ').filter(Boolean);
+  } else {
+    [name, ...rest] = text.split(' ');
   }
   
-  return sanitized || 'node';
+  // Inline key markers ("id int PK") are keys, anything else is a comment
+  const extra = rest.filter(token => {
+    if (/^(PK|FK|UK)$/i.test(token)) {
+      keys.push(token.toUpperCase());
+      return false;
+    }
+    return true;
+  });
+  const type = extra.shift();
+  
+  return {
+    type: toErIdentifier(type || '') || 'string',
+    name: toErIdentifier(name) || 'attribute',
+    keys: [...new Set(keys)],
+    comment: extra.join(' ')
+  };
+}
+
+/**
+ * Key column cell: PK, FK, UK or a combination such as "PK,FK"
+ */
+const ER_KEY_CELL = /^\s*(PK|FK|UK)(\s*[,\/ ]\s*(PK|FK|UK))*\s*$/i;
+
+/**
+ * Make an ER entity, type or attribute name Mermaid can parse
+ */
+function toErIdentifier(text) {
+  const identifier = text
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9_\-()\[\]]/g, '');
+  
+  return /^[0-9\-]/.test(identifier) ? `_${identifier}` : identifier;
 }
 
 /**
@@ -281,17 +1584,31 @@ function sanitizeId(id) {
 function escapeMermaidLabel(label) {
   if (!label) return '';
   
+  // Line breaks inside a label are written as <br/>
+  const text = label.replace(/\n/g, '<br/>');
+  
   // If label contains characters that break Mermaid parsing, wrap in quotes
   // Parentheses, brackets, curly braces, quotes, pipes, semicolons
-  if (/[\(\)\[\]\{\}"'\|;]/.test(label)) {
+  if (/[\(\)\[\]\{\}"'\|;]/.test(text)) {
     // Escape existing double quotes with #quot;
-    const escaped = label.replace(/"/g, '#quot;');
+    const escaped = text.replace(/"/g, '#quot;');
     return `"${escaped}"`;
   }
   
-  return label;
+  return text;
+}
+
+/**
+ * Format a markdown label as a Mermaid markdown string ("`**bold** _italic_`")
+ * Newlines stay real line breaks, quotes and backticks become entity codes
+ */
+function formatMarkdownLabel(markdown) {
+  const escaped = markdown.replace(/"/g, '#quot;').replace(/`/g, '#96;');
+  return `"\`${escaped}\`"`;
 }
 
 export default {
-  convertDrawioToMermaid
+  convertDrawioToMermaid,
+  convertDrawioPagesToMermaid,
+  getDrawioDiagramInfo
 };
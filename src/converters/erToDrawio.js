@@ -0,0 +1,138 @@
+/**
+ * ER Diagram to Draw.io
+ * Renders parsed Mermaid entities as draw.io tables (one row per attribute with
+ * key, name, type and comment columns) and relationships as crow's-foot edges
+ */
+
+const MIN_ENTITY_WIDTH = 180;
+const HEADER_HEIGHT = 30;
+const ROW_HEIGHT = 30;
+const KEY_COLUMN_WIDTH = 40;
+const CHAR_WIDTH = 7;
+const CELL_PADDING = 16;
+
+const TABLE_STYLE = 'shape=table;startSize=30;container=1;collapsible=1;childLayout=tableLayout;fixedRows=1;rowLines=0;fontStyle=1;align=center;resizeLast=1;html=1;';
+const ROW_STYLE = 'shape=tableRow;horizontal=0;startSize=0;swimlaneHead=0;swimlaneBody=0;fillColor=none;collapsible=0;dropTarget=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;top=0;left=0;right=0;';
+const CELL_STYLE = 'shape=partialRectangle;connectable=0;fillColor=none;top=0;left=0;bottom=0;right=0;overflow=hidden;whiteSpace=wrap;html=1;';
+
+/**
+ * Draw.io crow's-foot arrow for each cardinality
+ */
+const CARDINALITY_ARROWS = {
+  one: 'ERmandOne',
+  zeroOrOne: 'ERzeroToOne',
+  zeroOrMore: 'ERzeroToMany',
+  oneOrMore: 'ERoneToMany'
+};
+
+/**
+ * Get the size of an entity table
+ */
+export function getEntitySize(node) {
+  const columns = getColumnWidths(node);
+  return {
+    width: columns.reduce((sum, width) => sum + width, 0),
+    height: HEADER_HEIGHT + node.attributes.length * ROW_HEIGHT
+  };
+}
+
+/**
+ * Build the draw.io cells of an ER diagram
+ * @param {Array} nodes - Positioned entities (with x, y, width, height)
+ * @param {Array} edges - Relationships from parseMermaidCode
+ * @returns {Object} - { nodes, edges } for generateDrawioXML
+ */
+export function buildEntityCells(nodes, edges) {
+  const cells = [];
+
+  nodes.forEach(node => {
+    const columns = getColumnWidths(node);
+    cells.push({ ...node, drawioStyle: TABLE_STYLE });
+
+    node.attributes.forEach((attribute, index) => {
+      const rowId = `${node.id}_row_${index}`;
+      const isPrimaryKey = attribute.keys.includes('PK');
+
+      // The last primary key row is underlined, as draw.io's entity tables do
+      const isLastKey = isPrimaryKey && !node.attributes.slice(index + 1).some(a => a.keys.includes('PK'));
+      cells.push({
+        id: rowId,
+        label: '',
+        drawioStyle: `${ROW_STYLE}bottom=${isLastKey ? 1 : 0};`,
+        x: 0,
+        y: HEADER_HEIGHT + index * ROW_HEIGHT,
+        width: node.width,
+        height: ROW_HEIGHT,
+        parent: node.id
+      });
+
+      const values = [attribute.keys.join(','), attribute.name, attribute.type, attribute.comment];
+      const styles = [
+        `${CELL_STYLE}fontStyle=1;`,
+        `${CELL_STYLE}align=left;spacingLeft=6;${isPrimaryKey ? 'fontStyle=5;' : ''}`,
+        `${CELL_STYLE}align=left;spacingLeft=6;`,
+        `${CELL_STYLE}align=left;spacingLeft=6;fontStyle=2;`
+      ];
+      const names = ['key', 'name', 'type', 'comment'];
+
+      let x = 0;
+      columns.forEach((width, column) => {
+        cells.push({
+          id: `${rowId}_${names[column]}`,
+          label: values[column],
+          drawioStyle: styles[column],
+          x,
+          y: 0,
+          width,
+          height: ROW_HEIGHT,
+          parent: rowId
+        });
+        x += width;
+      });
+    });
+  });
+
+  const relationships = edges.map(edge => ({
+    ...edge,
+    drawioStyle: getRelationshipStyle(edge)
+  }));
+
+  return { nodes: cells, edges: relationships };
+}
+
+/**
+ * Column widths: key, name, type, and comment when any attribute has one
+ * The last column takes what is left of the minimum width
+ */
+function getColumnWidths(node) {
+  const widest = values => Math.max(0, ...values.map(value => value.length)) * CHAR_WIDTH + CELL_PADDING;
+  const columns = [
+    KEY_COLUMN_WIDTH,
+    widest(node.attributes.map(attribute => attribute.name)),
+    widest(node.attributes.map(attribute => attribute.type))
+  ];
+  if (node.attributes.some(attribute => attribute.comment)) {
+    columns.push(widest(node.attributes.map(attribute => attribute.comment)));
+  }
+
+  const total = columns.reduce((sum, width) => sum + width, 0);
+  const titleWidth = node.label.length * CHAR_WIDTH + CELL_PADDING * 2;
+  columns[columns.length - 1] += Math.max(0, MIN_ENTITY_WIDTH - total, titleWidth - total);
+  return columns;
+}
+
+/**
+ * Crow's-foot ends, dashed when the relationship is non-identifying
+ */
+function getRelationshipStyle(edge) {
+  let style = 'edgeStyle=entityRelationEdgeStyle;fontSize=12;html=1;endFill=0;startFill=0;';
+  style += `startArrow=${CARDINALITY_ARROWS[edge.sourceCardinality]};`;
+  style += `endArrow=${CARDINALITY_ARROWS[edge.targetCardinality]};`;
+  if (!edge.identifying) style += 'dashed=1;';
+  return style;
+}
+
+export default {
+  getEntitySize,
+  buildEntityCells
+};
@@ -0,0 +1,879 @@
+/**
+ * Flowchart Parser
+ * Tokenizer and recursive-descent parser for the Mermaid flowchart grammar
+ *
+ * statement   := vertexChain | subgraph | 'end' | 'direction' DIR
+ *              | 'classDef' … | 'class' … | 'style' … | 'linkStyle' … | 'click' …
+ * vertexChain := vertexGroup (link vertexGroup)*
+ * vertexGroup := vertex ('&' vertex)*
+ * vertex      := ID (shape | '@{…}')? (':::' CLASS)?
+ * link        := (ID '@')? LINK ('|' text '|')?
+ *
+ * Every node, edge and subgraph keeps the { line, column } where it was first written, as location
+ */
+
+/**
+ * Node shapes: opening bracket, closing bracket(s) and shape name
+ * Longer openers come first so ([text]) is not read as (text)
+ */
+const SHAPE_DELIMITERS = [
+  { open: '(((', close: [')))'], shape: 'doubleCircle' },
+  { open: '((', close: ['))'], shape: 'circle' },
+  { open: '([', close: ['])'], shape: 'stadium' },
+  { open: '[[', close: [']]'], shape: 'subroutine' },
+  { open: '[(', close: [')]'], shape: 'cylinder' },
+  { open: '[/', close: ['/]', '\\]'], shape: ['parallelogram', 'trapezoid'] },
+  { open: '[\\', close: ['\\]', '/]'], shape: ['parallelogramAlt', 'invTrapezoid'] },
+  { open: '{{', close: ['}}'], shape: 'hexagon' },
+  { open: '(', close: [')'], shape: 'rounded' },
+  { open: '[', close: [']'], shape: 'rectangle' },
+  { open: '{', close: ['}'], shape: 'diamond' },
+  { open: '>', close: [']'], shape: 'asymmetric' }
+];
+
+/**
+ * Shape names of the node@{ shape: … } syntax
+ */
+const NAMED_SHAPES = {
+  rect: 'rectangle', rectangle: 'rectangle', proc: 'rectangle', process: 'rectangle',
+  rounded: 'rounded', event: 'rounded',
+  stadium: 'stadium', pill: 'stadium', terminal: 'stadium',
+  subroutine: 'subroutine', subproc: 'subroutine', 'fr-rect': 'subroutine', subprocess: 'subroutine',
+  cyl: 'cylinder', cylinder: 'cylinder', db: 'cylinder', database: 'cylinder',
+  circle: 'circle', circ: 'circle',
+  'dbl-circ': 'doubleCircle', 'double-circle': 'doubleCircle',
+  diam: 'diamond', diamond: 'diamond', decision: 'diamond', question: 'diamond',
+  hex: 'hexagon', hexagon: 'hexagon', prepare: 'hexagon',
+  'lean-r': 'parallelogram', 'lean-right': 'parallelogram', 'in-out': 'parallelogram',
+  'lean-l': 'parallelogramAlt', 'lean-left': 'parallelogramAlt', 'out-in': 'parallelogramAlt',
+  'trap-b': 'trapezoid', trapezoid: 'trapezoid', priority: 'trapezoid',
+  'trap-t': 'invTrapezoid', 'inv-trapezoid': 'invTrapezoid', manual: 'invTrapezoid',
+  odd: 'asymmetric',
+  doc: 'document', document: 'document',
+  cloud: 'cloud',
+  tri: 'triangle', triangle: 'triangle', extract: 'triangle'
+};
+
+/**
+ * A complete link. Groups: start marker, then normal (dashes, end), dotted (body, end),
+ * thick (body, end) or invisible (tildes). o/x ends must stand apart from the next ID
+ */
+const LINK_PATTERN = /(<|[ox])?(?:(-{2,})(>|[ox](?=[\s|]|$)|-)|(-\.+-)(>|[ox](?=[\s|]|$))?|(={2,})(>|[ox](?=[\s|]|$)|=)|(~{3,}))/y;
+
+/**
+ * Opening half of a link with its label in the middle (A -- text --> B)
+ * and the closing half for each stroke
+ */
+const LINK_TEXT_OPEN = /(<|[ox])?(--|==|-\.)(?=[^-=.>])/y;
+const LINK_TEXT_CLOSE = {
+  '--': /(-{2,})(>|[ox](?=[\s|]|$)|-)/g,
+  '-.': /(\.+-)(>|[ox](?=[\s|]|$))?/g,
+  '==': /(={2,})(>|[ox](?=[\s|]|$)|=)/g
+};
+
+/**
+ * Mermaid link markers as draw.io arrows
+ */
+const LINK_ARROWS = { '>': 'classic', '<': 'classic', 'o': 'oval', 'x': 'cross' };
+
+/**
+ * Statements that take the rest of the line as free text
+ */
+const LINE_KEYWORDS = ['subgraph', 'direction', 'classDef', 'class', 'style', 'linkStyle', 'click', 'accTitle', 'accDescr'];
+
+const DIRECTIONS = ['TB', 'TD', 'BT', 'RL', 'LR'];
+
+/**
+ * Named Mermaid entity codes, numeric ones (#91;) are decoded directly
+ */
+const NAMED_ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', apos: "'", nbsp: ' ' };
+
+/**
+ * Parse Mermaid flowchart code
+ * @param {string} code - Whole diagram, starting with "flowchart" or "graph"
+ * @returns {Object} - { nodes, edges, subgraphs, direction, classDefs }
+ * @throws {Error} - With line and column properties pointing at the offending token
+ */
+export function parseFlowchart(code) {
+  const tokens = createTokenizer(code);
+  const state = {
+    nodes: new Map(),
+    edges: [],
+    edgeIds: new Map(),
+    subgraphs: [],
+    subgraphStack: [],
+    classDefs: {},
+    direction: 'TB'
+  };
+
+  parseHeader(tokens, state);
+
+  while (tokens.peek().type !== 'eof') {
+    if (tokens.peek().type === 'separator') {
+      tokens.next();
+      continue;
+    }
+    parseStatement(tokens, state);
+  }
+
+  if (state.subgraphStack.length > 0) {
+    const open = state.subgraphStack[state.subgraphStack.length - 1];
+    throw syntaxError(`El subgraph "${open.id}" no se cerró con "end"`, open.location);
+  }
+
+  // A subgraph ID used as a link end refers to the subgraph, not to a new node
+  const subgraphIds = new Set(state.subgraphs.map(subgraph => subgraph.id));
+  subgraphIds.forEach(id => {
+    if (state.nodes.has(id) && !state.nodes.get(id).defined) state.nodes.delete(id);
+  });
+  state.subgraphs.forEach(subgraph => {
+    subgraph.nodes = subgraph.nodes.filter(id => state.nodes.has(id));
+  });
+
+  return {
+    nodes: Array.from(state.nodes.values()).map(({ defined, ...node }) => node),
+    edges: state.edges,
+    subgraphs: state.subgraphs,
+    direction: state.direction,
+    classDefs: state.classDefs
+  };
+}
+
+/**
+ * Read "flowchart LR" / "graph TD" (after optional front matter and comments)
+ */
+function parseHeader(tokens, state) {
+  while (tokens.peek().type === 'separator') tokens.next();
+
+  const keyword = tokens.next();
+  if (keyword.type !== 'id' || !/^(flowchart(-elk)?|graph)$/i.test(keyword.value)) {
+    throw syntaxError('Se esperaba "flowchart" o "graph" al inicio del diagrama', keyword);
+  }
+
+  const direction = tokens.peek();
+  if (direction.type === 'id' && DIRECTIONS.includes(direction.value.toUpperCase())) {
+    tokens.next();
+    state.direction = normalizeDirection(direction.value);
+  }
+
+  expectEndOfStatement(tokens);
+}
+
+/**
+ * Parse one statement
+ */
+function parseStatement(tokens, state) {
+  const token = tokens.peek();
+
+  if (token.type === 'id' && token.value === 'end') {
+    tokens.next();
+    if (state.subgraphStack.length === 0) {
+      throw syntaxError('"end" sin un subgraph abierto', token);
+    }
+    state.subgraphStack.pop();
+    expectEndOfStatement(tokens);
+    return;
+  }
+
+  // Keywords only count as such when followed by their arguments, "class --> B" links a node
+  if (token.type === 'id' && LINE_KEYWORDS.includes(token.value) && tokens.hasArguments(token)) {
+    tokens.next();
+    parseLineStatement(token, tokens.readRestOfStatement(), state);
+    return;
+  }
+
+  // Attributes of an edge ID (e1@{ animate: true }) only style the link
+  if (token.type === 'id' && state.edgeIds.has(token.value) && tokens.peek(1).type === 'attributes') {
+    tokens.next();
+    tokens.next();
+    expectEndOfStatement(tokens);
+    return;
+  }
+
+  parseVertexChain(tokens, state);
+  expectEndOfStatement(tokens);
+}
+
+/**
+ * Parse the keyword statements that take free text
+ */
+function parseLineStatement(keyword, rest, state) {
+  const text = rest.value.trim();
+
+  switch (keyword.value) {
+    case 'subgraph':
+      openSubgraph(text, keyword, state);
+      break;
+
+    case 'direction': {
+      const current = state.subgraphStack[state.subgraphStack.length - 1];
+      if (!DIRECTIONS.includes(text.toUpperCase())) {
+        throw syntaxError(`Dirección no válida: "${text}"`, rest);
+      }
+      if (current) {
+        current.direction = normalizeDirection(text);
+      } else {
+        state.direction = normalizeDirection(text);
+      }
+      break;
+    }
+
+    case 'classDef': {
+      const match = text.match(/^(\S+)\s+(.+)$/);
+      if (!match) throw syntaxError('classDef necesita un nombre y estilos', rest);
+      match[1].split(',').forEach(name => {
+        state.classDefs[name] = match[2].trim().replace(/;$/, '');
+      });
+      break;
+    }
+
+    case 'class': {
+      const match = text.match(/^(\S+)\s+(\S+)$/);
+      if (!match) throw syntaxError('class necesita una lista de nodos y un nombre de clase', rest);
+      match[1].split(',').forEach(id => {
+        const node = state.nodes.get(id);
+        if (node) addClass(node, match[2]);
+      });
+      break;
+    }
+
+    case 'style': {
+      const match = text.match(/^(\S+)\s+(.+)$/);
+      if (!match) throw syntaxError('style necesita un ID y estilos', rest);
+      const target = state.subgraphs.find(s => s.id === match[1]) || state.nodes.get(match[1]);
+      if (target) target.style = match[2].trim().replace(/;$/, '');
+      break;
+    }
+
+    case 'linkStyle': {
+      const match = text.match(/^(default|[\d\s,]+?)\s+(\S.*)$/);
+      if (!match) throw syntaxError('linkStyle necesita índices de enlace y estilos', rest);
+      const style = match[2].trim().replace(/;$/, '');
+      const targets = match[1] === 'default'
+        ? state.edges
+        : match[1].split(',').map(index => state.edges[parseInt(index, 10)]);
+      targets.forEach(edge => {
+        if (edge) edge.style = style;
+      });
+      break;
+    }
+
+    case 'click': {
+      const click = parseClick(text);
+      const node = click && state.nodes.get(click.id);
+      if (!node) break;
+      node.link = click.link;
+      if (click.tooltip) node.tooltip = click.tooltip;
+      if (click.linkTarget) node.linkTarget = click.linkTarget;
+      break;
+    }
+  }
+}
+
+/**
+ * Open a subgraph: "subgraph id", "subgraph id [label]", "subgraph "title"" or "subgraph free title"
+ */
+function openSubgraph(text, token, state) {
+  let id = text;
+  let labelText = text;
+
+  const bracketed = text.match(/^([^\s[]+)\s*\[([\s\S]*)\]$/);
+  const quoted = text.match(/^"([\s\S]*)"$/);
+  if (bracketed) {
+    [, id, labelText] = bracketed;
+  } else if (quoted) {
+    id = quoted[1];
+  }
+
+  if (!id) {
+    throw syntaxError('subgraph necesita un ID o un título', token);
+  }
+
+  // A title that is not an ID ("R&D", "Data layer") gets a generated ID, as Mermaid does
+  if (!bracketed && !/^[\w.-]+$/.test(id)) {
+    id = `subGraph${state.subgraphs.length}`;
+  }
+
+  const parent = state.subgraphStack[state.subgraphStack.length - 1];
+  const subgraph = {
+    id,
+    ...decodeLabel(labelText.trim()),
+    nodes: [],
+    parent: parent ? parent.id : null,
+    location: location(token)
+  };
+
+  state.subgraphs.push(subgraph);
+  state.subgraphStack.push(subgraph);
+}
+
+/**
+ * vertexChain := vertexGroup (link vertexGroup)*
+ */
+function parseVertexChain(tokens, state) {
+  let sources = parseVertexGroup(tokens, state);
+
+  while (startsLink(tokens)) {
+    const edgeId = tokens.peek().type === 'id' ? tokens.next().value : null;
+    if (edgeId) tokens.next(); // '@'
+
+    const linkToken = tokens.next();
+    let link = linkToken.link;
+    if (tokens.peek().type === 'pipeText') {
+      link = { ...link, label: tokens.next().value.trim() };
+    }
+
+    const targets = parseVertexGroup(tokens, state);
+
+    sources.forEach(source => {
+      targets.forEach(target => {
+        const edge = {
+          id: edgeId && sources.length === 1 && targets.length === 1 ? edgeId : `edge_${state.edges.length}`,
+          source: source.id,
+          target: target.id,
+          ...describeLink(link),
+          location: location(linkToken)
+        };
+        state.edges.push(edge);
+        if (edgeId) state.edgeIds.set(edgeId, edge);
+      });
+    });
+
+    sources = targets;
+  }
+}
+
+/**
+ * A link, optionally preceded by an edge ID (A e1@--> B)
+ */
+function startsLink(tokens) {
+  if (tokens.peek().type === 'link') return true;
+  return tokens.peek().type === 'id' && tokens.peek(1).type === 'at' && tokens.peek(2).type === 'link';
+}
+
+/**
+ * vertexGroup := vertex ('&' vertex)*
+ */
+function parseVertexGroup(tokens, state) {
+  const vertices = [parseVertex(tokens, state)];
+
+  while (tokens.peek().type === 'amp') {
+    tokens.next();
+    vertices.push(parseVertex(tokens, state));
+  }
+
+  return vertices;
+}
+
+/**
+ * vertex := ID (shape | '@{…}')? (':::' CLASS)?
+ */
+function parseVertex(tokens, state) {
+  const idToken = tokens.next();
+  if (idToken.type !== 'id') {
+    throw syntaxError(`Se esperaba el ID de un nodo y se encontró ${describeToken(idToken)}`, idToken);
+  }
+  if (idToken.value === 'end') {
+    throw syntaxError('"end" no puede usarse como ID de nodo', idToken);
+  }
+
+  const node = getOrCreateNode(idToken.value, idToken, state);
+
+  const next = tokens.peek();
+  if (next.type === 'shape') {
+    tokens.next();
+    Object.assign(node, decodeLabel(next.text.trim()), { shape: next.shape, defined: true });
+  } else if (next.type === 'attributes') {
+    tokens.next();
+    applyNodeAttributes(node, next.value);
+  }
+
+  while (tokens.peek().type === 'className') {
+    addClass(node, tokens.next().value);
+  }
+
+  return node;
+}
+
+/**
+ * Get a node, creating it on first use
+ * A node belongs to the innermost subgraph it is first written in
+ */
+function getOrCreateNode(id, token, state) {
+  let node = state.nodes.get(id);
+  if (!node) {
+    node = { id, label: id, shape: 'rectangle', location: location(token) };
+    state.nodes.set(id, node);
+  }
+
+  const subgraph = state.subgraphStack[state.subgraphStack.length - 1];
+  if (subgraph && !node.subgraph) {
+    node.subgraph = subgraph.id;
+    subgraph.nodes.push(id);
+  }
+
+  return node;
+}
+
+/**
+ * Apply node@{ shape: …, label: "…" } attributes
+ */
+function applyNodeAttributes(node, text) {
+  const attributes = {};
+  const pattern = /([\w-]+)\s*:\s*("(?:[^"\\]|\\.)*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].trim();
+  }
+
+  if (attributes.shape) {
+    node.shape = NAMED_SHAPES[attributes.shape.replace(/"/g, '')] || 'rectangle';
+  }
+  if (attributes.label) {
+    Object.assign(node, decodeLabel(attributes.label));
+  }
+  node.defined = true;
+}
+
+/**
+ * Add a class name to a node
+ */
+function addClass(node, className) {
+  node.classes = [...(node.classes || []), className];
+}
+
+/**
+ * Describe a link token: its stroke, both arrows and label
+ * type is 'arrow', 'line', 'dotted', 'thick' or 'invisible'
+ */
+function describeLink(link) {
+  const endArrow = LINK_ARROWS[link.end] || 'none';
+  let type = link.stroke;
+  if (link.stroke === 'normal') {
+    type = endArrow === 'none' ? 'line' : 'arrow';
+  }
+
+  return {
+    ...decodeLabel(link.label || ''),
+    type,
+    stroke: link.stroke,
+    startArrow: LINK_ARROWS[link.start] || 'none',
+    endArrow,
+    length: link.length
+  };
+}
+
+/**
+ * Parse a click statement with a URL
+ * id href "url" "tooltip" _blank (href, tooltip and target are optional)
+ * Callback clicks (click id call fn()) have no URL and are ignored
+ */
+function parseClick(text) {
+  const match = text.match(/^(\S+)\s+(?:href\s+)?"([^"]*)"(?:\s+"([^"]*)")?(?:\s+(_blank|_self|_parent|_top))?\s*$/);
+  if (!match) return null;
+
+  // Tooltips are written with entity codes (#quot;) like labels
+  const [, id, link, tooltip, linkTarget] = match;
+  return { id, link, tooltip: tooltip && decodeLabel(tooltip).label, linkTarget };
+}
+
+/**
+ * Require a newline, ';' or the end of the code
+ */
+function expectEndOfStatement(tokens) {
+  const token = tokens.peek();
+  if (token.type === 'separator') {
+    tokens.next();
+  } else if (token.type !== 'eof') {
+    throw syntaxError(`Se encontró ${describeToken(token)} donde se esperaba el final de la sentencia`, token);
+  }
+}
+
+/**
+ * Tokenize flowchart code on demand
+ * The parser pulls tokens with peek()/next(); readRestOfStatement() returns the raw text
+ * of keyword statements such as classDef or subgraph titles
+ */
+function createTokenizer(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  let offset = skipFrontMatter(code);
+  let lastType = 'separator';
+  const buffer = [];
+
+  /**
+   * Line and column (1-based) of an offset
+   */
+  function locate(index) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  }
+
+  function makeToken(type, start, extra = {}, spaceBefore = false) {
+    lastType = type;
+    return { type, start, end: offset, spaceBefore, ...locate(start), ...extra };
+  }
+
+  /**
+   * Index just past the closing quote of a string starting at index
+   */
+  function skipQuoted(index) {
+    const close = code.indexOf('"', index + 1);
+    if (close === -1) {
+      throw syntaxError('Comillas sin cerrar', locate(index));
+    }
+    return close + 1;
+  }
+
+  /**
+   * Index of the first of the closing delimiters, skipping quoted text
+   */
+  function findClosing(index, closers) {
+    let i = index;
+    while (i < code.length) {
+      if (code[i] === '"') {
+        i = skipQuoted(i);
+        continue;
+      }
+      const closer = closers.find(c => code.startsWith(c, i));
+      if (closer) return { index: i, closer };
+      i++;
+    }
+    return null;
+  }
+
+  function readToken() {
+    let spaceBefore = false;
+
+    // Whitespace and %% comments (including %%{init}%% directives)
+    while (offset < code.length) {
+      const char = code[offset];
+      if (char === ' ' || char === '\t' || char === '\r') {
+        offset++;
+        spaceBefore = true;
+      } else if (code.startsWith('%%', offset)) {
+        const lineEnd = code.indexOf('\n', offset);
+        offset = lineEnd === -1 ? code.length : lineEnd;
+      } else {
+        break;
+      }
+    }
+
+    const start = offset;
+    if (offset >= code.length) return makeToken('eof', start, {}, spaceBefore);
+
+    const char = code[offset];
+    const afterVertex = ['id', 'shape', 'className', 'attributes'].includes(lastType);
+
+    if (char === '\n' || char === ';') {
+      offset++;
+      return makeToken('separator', start, {}, spaceBefore);
+    }
+
+    // Links, o/x start markers need a space after a node (A o--o B)
+    if (!(/[ox]/.test(char) && !(afterVertex && spaceBefore))) {
+      const link = readLink();
+      if (link) return makeToken('link', start, { link }, spaceBefore);
+    }
+
+    if (char === '|') {
+      const close = findClosing(offset + 1, ['|']);
+      if (!close) throw syntaxError('Etiqueta de enlace sin cerrar con "|"', locate(start));
+      const value = code.slice(offset + 1, close.index);
+      offset = close.index + 1;
+      return makeToken('pipeText', start, { value }, spaceBefore);
+    }
+
+    if (char === '&') {
+      offset++;
+      return makeToken('amp', start, {}, spaceBefore);
+    }
+
+    if (code.startsWith(':::', offset)) {
+      const match = /:::([\w-]+)/y;
+      match.lastIndex = offset;
+      const className = match.exec(code);
+      if (!className) throw syntaxError('Falta el nombre de clase después de ":::"', locate(start));
+      offset = match.lastIndex;
+      return makeToken('className', start, { value: className[1] }, spaceBefore);
+    }
+
+    if (code.startsWith('@{', offset)) {
+      const close = findClosing(offset + 2, ['}']);
+      if (!close) throw syntaxError('Atributos "@{" sin cerrar', locate(start));
+      const value = code.slice(offset + 2, close.index);
+      offset = close.index + 1;
+      return makeToken('attributes', start, { value }, spaceBefore);
+    }
+
+    if (char === '@') {
+      offset++;
+      return makeToken('at', start, {}, spaceBefore);
+    }
+
+    // Shapes: '>' only opens one right after a node ID
+    const delimiter = SHAPE_DELIMITERS.find(d => code.startsWith(d.open, offset) && (d.open !== '>' || afterVertex && !spaceBefore));
+    if (delimiter) {
+      const close = findClosing(offset + delimiter.open.length, delimiter.close);
+      if (!close) {
+        throw syntaxError(`Forma "${delimiter.open}" sin cerrar, se esperaba "${delimiter.close[0]}"`, locate(start));
+      }
+      const text = code.slice(offset + delimiter.open.length, close.index);
+      const shape = Array.isArray(delimiter.shape)
+        ? delimiter.shape[delimiter.close.indexOf(close.closer)]
+        : delimiter.shape;
+      offset = close.index + close.closer.length;
+      return makeToken('shape', start, { shape, text }, spaceBefore);
+    }
+
+    if (char === '"') {
+      offset = skipQuoted(offset);
+      return makeToken('string', start, { value: code.slice(start + 1, offset - 1) }, spaceBefore);
+    }
+
+    const id = readId();
+    if (id) return makeToken('id', start, { value: id }, spaceBefore);
+
+    offset++;
+    throw syntaxError(`Carácter inesperado "${char}"`, locate(start));
+  }
+
+  /**
+   * Read a node ID: letters, digits and _, plus '-' and '.' between ID characters
+   * so my-node is one ID while A-->B stops before the link
+   */
+  function readId() {
+    const start = offset;
+    while (offset < code.length) {
+      const char = code[offset];
+      if (/[\p{L}\p{N}_$#*+!?']/u.test(char)) {
+        offset++;
+      } else if ((char === '-' || char === '.') && offset > start && /[\p{L}\p{N}_]/u.test(code[offset + 1] || '')) {
+        offset++;
+      } else {
+        break;
+      }
+    }
+    return code.slice(start, offset);
+  }
+
+  /**
+   * Read a link at the current offset, with its label when written in the middle
+   */
+  function readLink() {
+    LINK_PATTERN.lastIndex = offset;
+    const match = LINK_PATTERN.exec(code);
+    if (match) {
+      offset = LINK_PATTERN.lastIndex;
+      return linkFromMatch(match);
+    }
+
+    LINK_TEXT_OPEN.lastIndex = offset;
+    const open = LINK_TEXT_OPEN.exec(code);
+    if (!open) return null;
+
+    const close = LINK_TEXT_CLOSE[open[2]];
+    let i = LINK_TEXT_OPEN.lastIndex;
+    while (i < code.length && code[i] !== '\n') {
+      if (code[i] === '"') {
+        i = skipQuoted(i);
+        continue;
+      }
+      close.lastIndex = i;
+      const closing = close.exec(code);
+      if (closing && closing.index === i) {
+        const label = code.slice(LINK_TEXT_OPEN.lastIndex, i).trim();
+        offset = close.lastIndex;
+        const stroke = { '--': 'normal', '-.': 'dotted', '==': 'thick' }[open[2]];
+        const end = closing[2] && !['-', '='].includes(closing[2]) ? closing[2] : null;
+        return { start: open[1], end, stroke, label, length: closing[1].length - 1 };
+      }
+      i++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn a LINK_PATTERN match into { start, end, stroke, length }
+   */
+  function linkFromMatch(match) {
+    const [, start, normalBody, normalEnd, dottedBody, dottedEnd, thickBody, thickEnd, tildes] = match;
+
+    if (dottedBody) {
+      return { start, end: dottedEnd, stroke: 'dotted', length: dottedBody.length - 2 };
+    }
+    if (thickBody) {
+      return { start, end: thickEnd === '=' ? null : thickEnd, stroke: 'thick', length: thickBody.length - 1 };
+    }
+    if (tildes) {
+      return { start, end: null, stroke: 'invisible', length: tildes.length - 2 };
+    }
+    return { start, end: normalEnd === '-' ? null : normalEnd, stroke: 'normal', length: normalBody.length - 1 };
+  }
+
+  /**
+   * Raw text up to the end of the statement (newline or ';' outside quotes)
+   */
+  function readRestOfStatement() {
+    buffer.length = 0;
+    const start = offset;
+    let i = offset;
+    // accDescr { … } spans several lines
+    const block = /[ \t:]*\{/y;
+    block.lastIndex = i;
+    if (block.test(code)) {
+      const close = code.indexOf('}', block.lastIndex);
+      i = close === -1 ? code.length : close + 1;
+    }
+    while (i < code.length && code[i] !== '\n' && code[i] !== ';' && !code.startsWith('%%', i)) {
+      i = code[i] === '"' ? skipQuoted(i) : i + 1;
+    }
+    offset = i;
+    lastType = 'separator';
+    return { value: code.slice(start, i), start, ...locate(start) };
+  }
+
+  return {
+    peek(ahead = 0) {
+      while (buffer.length <= ahead) {
+        buffer.push(readToken());
+      }
+      return buffer[ahead];
+    },
+    next() {
+      return buffer.length > 0 ? buffer.shift() : readToken();
+    },
+    readRestOfStatement() {
+      // Tokens already looked ahead are re-read as text
+      if (buffer.length > 0) {
+        offset = buffer[0].start;
+      }
+      return readRestOfStatement();
+    },
+    hasArguments(token) {
+      // accTitle: text / accDescr: text / accDescr { text }
+      const pattern = /^acc/.test(token.value) ? /[ \t]*[:{]/y : /[ \t]+(?![-=~<&]|[ox][-=.])[^\s;]/y;
+      pattern.lastIndex = token.end;
+      return pattern.test(code);
+    }
+  };
+}
+
+/**
+ * Offset after a leading "---" front matter block, or 0
+ */
+function skipFrontMatter(code) {
+  const match = code.match(/^\s*---\r?\n[\s\S]*?\r?\n---[ \t]*(\r?\n|$)/);
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Mermaid accepts TD as a synonym of TB
+ */
+function normalizeDirection(direction) {
+  const upper = direction.toUpperCase();
+  return upper === 'TD' ? 'TB' : upper;
+}
+
+/**
+ * { line, column } of a token
+ */
+function location(token) {
+  return { line: token.line, column: token.column };
+}
+
+/**
+ * Readable name of a token for error messages
+ */
+function describeToken(token) {
+  switch (token.type) {
+    case 'eof':
+      return 'el final del código';
+    case 'separator':
+      return 'el final de la línea';
+    case 'id':
+      return `"${token.value}"`;
+    case 'link':
+      return 'un enlace';
+    case 'shape':
+      return 'una forma';
+    default:
+      return `"${token.value ?? token.type}"`;
+  }
+}
+
+/**
+ * Syntax error with the line and column where it was found
+ */
+function syntaxError(message, { line, column }) {
+  const error = new Error(`${message} (línea ${line}, columna ${column})`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Decode a node or edge label: quotes are removed, entity codes decoded and
+ * <br/> read as a newline. A markdown string ("`**bold** _italic_`") also gets an HTML version
+ */
+export function decodeLabel(text) {
+  let label = text;
+  let markdown = false;
+
+  if (/^"[\s\S]*"$/.test(label) && label.length >= 2) {
+    label = label.slice(1, -1);
+    if (/^`[\s\S]*`$/.test(label) && label.length >= 2) {
+      label = label.slice(1, -1);
+      markdown = true;
+    }
+  }
+
+  label = label.replace(/<br\s*\/?>/gi, '\n');
+
+  if (!markdown) return { label: decodeEntities(label) };
+
+  // Entity codes are decoded after the markers, so #42; stays a literal *
+  return {
+    label: decodeEntities(label.replace(/\*\*(.+?)\*\*/g, '$1').replace(/(^|\W)[_*](.+?)[_*](?=\W|$)/g, '$1$2')),
+    html: markdownToHtml(label)
+  };
+}
+
+/**
+ * Decode Mermaid entity codes (#35;, #quot;)
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/#([a-z]+);/gi, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] ?? entity);
+}
+
+/**
+ * Convert Mermaid markdown (bold, italic, newlines) to an HTML label
+ */
+function markdownToHtml(markdown) {
+  return markdown
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/(^|\W)[_*](.+?)[_*](?=\W|$)/g, '$1<i>$2</i>')
+    .replace(/#(\d+);/g, '&#$1;')
+    .replace(/#([a-z]+);/gi, (entity, name) => name.toLowerCase() in NAMED_ENTITIES ? `&${name.toLowerCase()};` : entity)
+    .replace(/\n/g, '<br>');
+}
+
+export default {
+  parseFlowchart,
+  decodeLabel
+};
@@ -0,0 +1,302 @@
+/**
+ * Gantt Parser
+ * Reads Mermaid gantt charts and resolves every task to concrete start and end
+ * dates (UTC timestamps), following Mermaid's rules for "after", "until",
+ * durations and excluded days
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: DAY,
+  w: 7 * DAY
+};
+
+const TASK_TAGS = ['active', 'done', 'crit', 'milestone'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * dayjs format tokens Mermaid accepts in dateFormat, longest first
+ */
+const DATE_TOKENS = [
+  { token: 'YYYY', pattern: '(\\d{4})', field: 'year' },
+  { token: 'YY', pattern: '(\\d{2})', field: 'shortYear' },
+  { token: 'MM', pattern: '(\\d{2})', field: 'month' },
+  { token: 'M', pattern: '(\\d{1,2})', field: 'month' },
+  { token: 'DD', pattern: '(\\d{2})', field: 'day' },
+  { token: 'D', pattern: '(\\d{1,2})', field: 'day' },
+  { token: 'HH', pattern: '(\\d{2})', field: 'hour' },
+  { token: 'H', pattern: '(\\d{1,2})', field: 'hour' },
+  { token: 'mm', pattern: '(\\d{2})', field: 'minute' },
+  { token: 'ss', pattern: '(\\d{2})', field: 'second' },
+  { token: 'X', pattern: '(\\d+)', field: 'unix' },
+  { token: 'x', pattern: '(\\d+)', field: 'unixMs' }
+];
+
+/**
+ * Parse gantt chart statements (the header line first)
+ * @param {string[]} lines - Trimmed statements without comments
+ * @returns {Object} - { nodes, edges, subgraphs, gantt: { title, sections, tasks } }
+ */
+export function parseGantt(lines) {
+  let title = '';
+  let dateFormat = 'YYYY-MM-DD';
+  let inclusiveEndDates = false;
+  const excludes = { weekdays: new Set(), dates: new Set() };
+  const sections = [];
+  const tasks = [];
+  let section = null;
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    const [, keyword = '', rest = ''] = line.match(/^(\w+)\b\s*(.*)$/) || [];
+    const value = rest.trim();
+
+    switch (keyword) {
+      case 'title':
+        title = value;
+        continue;
+      case 'dateFormat':
+        dateFormat = value;
+        continue;
+      case 'excludes':
+        value.split(/[\s,]+/).filter(Boolean).forEach(day => {
+          const lower = day.toLowerCase();
+          if (lower === 'weekends') {
+            excludes.weekdays.add(0);
+            excludes.weekdays.add(6);
+          } else if (WEEKDAYS.includes(lower)) {
+            excludes.weekdays.add(WEEKDAYS.indexOf(lower));
+          } else {
+            excludes.dates.add(day);
+          }
+        });
+        continue;
+      case 'inclusiveEndDates':
+        inclusiveEndDates = true;
+        continue;
+      case 'section':
+        section = { id: `section_${sections.length}`, label: value };
+        sections.push(section);
+        continue;
+      case 'axisFormat':
+      case 'tickInterval':
+      case 'todayMarker':
+      case 'weekday':
+      case 'topAxis':
+      case 'displayMode':
+      case 'click':
+      case 'accTitle':
+      case 'accDescr':
+        continue;
+    }
+
+    const taskMatch = line.match(/^([^:]+?)\s*:\s*(.*)$/);
+    if (taskMatch) {
+      tasks.push(readTask(taskMatch[1], taskMatch[2], section, tasks.length));
+    }
+  }
+
+  const parseDate = createDateParser(dateFormat);
+  const excludedDates = new Set([...excludes.dates].map(date => parseDate(date)).filter(date => date !== null));
+  const isExcluded = time => excludes.weekdays.has(new Date(time).getUTCDay()) || excludedDates.has(startOfDay(time));
+  resolveDates(tasks, { parseDate, isExcluded, inclusiveEndDates });
+
+  const nodes = tasks.map(task => ({
+    id: task.id,
+    label: task.label,
+    shape: task.milestone ? 'diamond' : 'rectangle',
+    subgraph: task.section
+  }));
+  const edges = [];
+  tasks.forEach(task => {
+    task.dependencies.forEach(dependency => {
+      edges.push({ id: `edge_${edges.length}`, source: dependency, target: task.id, label: '', type: 'arrow' });
+    });
+  });
+
+  return {
+    nodes,
+    edges,
+    subgraphs: sections.map(s => ({ id: s.id, label: s.label, parent: null, direction: null })),
+    gantt: { title, sections, tasks }
+  };
+}
+
+/**
+ * Split "tags, id, start, end" task data
+ * Tags come first; then one value is the end, two are start and end, three id, start and end
+ */
+function readTask(label, data, section, index) {
+  const parts = data.split(',').map(part => part.trim()).filter(Boolean);
+  const tags = [];
+  while (parts.length > 0 && TASK_TAGS.includes(parts[0])) {
+    tags.push(parts.shift());
+  }
+
+  let id = `task${index + 1}`;
+  let start = null;
+  let end = null;
+  if (parts.length >= 3) {
+    [id, start, end] = parts;
+  } else if (parts.length === 2) {
+    [start, end] = parts;
+  } else if (parts.length === 1) {
+    [end] = parts;
+  }
+
+  return {
+    id,
+    label: label.trim(),
+    section: section ? section.id : null,
+    startSpec: start,
+    endSpec: end,
+    active: tags.includes('active'),
+    done: tags.includes('done'),
+    crit: tags.includes('crit'),
+    milestone: tags.includes('milestone'),
+    dependencies: [],
+    start: null,
+    end: null
+  };
+}
+
+/**
+ * Give every task its start and end
+ * Tasks may point to tasks defined later, so passes repeat until nothing changes
+ */
+function resolveDates(tasks, { parseDate, isExcluded, inclusiveEndDates }) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const today = startOfDay(Date.now());
+
+  const resolveStart = (task, index) => {
+    if (!task.startSpec) {
+      // Without a start a task follows the previous one (the first starts today)
+      if (index === 0) return today;
+      return tasks[index - 1].end;
+    }
+
+    const after = task.startSpec.match(/^after\s+(.+)$/i);
+    if (after) {
+      const ids = after[1].split(/\s+/);
+      task.dependencies = ids.filter(id => byId.has(id));
+      const ends = task.dependencies.map(id => byId.get(id).end);
+      if (ends.length === 0) return today;
+      if (ends.some(end => end === null)) return null;
+      return Math.max(...ends);
+    }
+
+    const date = parseDate(task.startSpec);
+    if (date === null) {
+      throw new Error(`Fecha de inicio no válida en la tarea "${task.label}": ${task.startSpec}`);
+    }
+    return date;
+  };
+
+  const resolveEnd = (task, start) => {
+    const spec = task.endSpec || '0d';
+
+    const until = spec.match(/^until\s+(.+)$/i);
+    if (until) {
+      const starts = until[1].split(/\s+/).filter(id => byId.has(id)).map(id => byId.get(id).start);
+      if (starts.some(value => value === null)) return null;
+      return starts.length > 0 ? Math.min(...starts) : start;
+    }
+
+    const duration = spec.match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/);
+    if (duration) {
+      return addDuration(start, parseFloat(duration[1]) * DURATION_UNITS[duration[2]], isExcluded);
+    }
+
+    const date = parseDate(spec);
+    if (date === null) {
+      throw new Error(`Fecha de fin o duración no válida en la tarea "${task.label}": ${spec}`);
+    }
+    return inclusiveEndDates ? date + DAY : date;
+  };
+
+  let pending = tasks.length;
+  while (pending > 0) {
+    let progress = false;
+    tasks.forEach((task, index) => {
+      if (task.end !== null) return;
+      const start = task.start ?? resolveStart(task, index);
+      if (start === null) return;
+      task.start = start;
+      const end = resolveEnd(task, start);
+      if (end === null) return;
+      task.end = task.milestone ? start : end;
+      pending--;
+      progress = true;
+    });
+
+    if (!progress) {
+      const task = tasks.find(t => t.end === null);
+      throw new Error(`No se pudieron calcular las fechas de la tarea "${task.label}" (dependencia circular o desconocida)`);
+    }
+  }
+}
+
+/**
+ * Add a duration, skipping excluded days the way Mermaid extends tasks over them
+ */
+function addDuration(start, duration, isExcluded) {
+  let end = start + duration;
+  let day = startOfDay(start);
+  while (day < end) {
+    if (isExcluded(day)) end += DAY;
+    day += DAY;
+  }
+  return end;
+}
+
+/**
+ * Build a parser for dates written in a dayjs format
+ * Returns UTC timestamps, or null when the text does not match
+ */
+function createDateParser(format) {
+  const fields = [];
+  let pattern = '';
+  let rest = format;
+
+  while (rest.length > 0) {
+    const token = DATE_TOKENS.find(t => rest.startsWith(t.token));
+    if (token) {
+      pattern += token.pattern;
+      fields.push(token.field);
+      rest = rest.slice(token.token.length);
+    } else {
+      pattern += rest[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      rest = rest.slice(1);
+    }
+  }
+
+  const regex = new RegExp(`^${pattern}$`);
+  return text => {
+    const match = text.trim().match(regex);
+    if (!match) return null;
+
+    const values = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    fields.forEach((field, index) => {
+      values[field] = parseInt(match[index + 1], 10);
+    });
+
+    if (values.unix !== undefined) return values.unix * 1000;
+    if (values.unixMs !== undefined) return values.unixMs;
+    if (values.shortYear !== undefined) values.year = 2000 + values.shortYear;
+    return Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  };
+}
+
+function startOfDay(time) {
+  return Math.floor(time / DAY) * DAY;
+}
+
+export default {
+  parseGantt
+};
@@ -0,0 +1,179 @@
+/**
+ * Gantt to Draw.io
+ * Lays out a parsed Mermaid gantt chart as a draw.io timeline: a date axis on top,
+ * one swimlane per section, bars sized by duration, diamond milestones and
+ * dependency arrows
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const START_X = 50;
+const START_Y = 50;
+const TITLE_HEIGHT = 40;
+const AXIS_HEIGHT = 30;
+const LANE_HEADER = 120;
+const ROW_HEIGHT = 36;
+const BAR_HEIGHT = 24;
+const MILESTONE_SIZE = 20;
+const TIMELINE_WIDTH = 800;
+const MIN_DAY_WIDTH = 4;
+const MAX_DAY_WIDTH = 60;
+const TICK_SIZE = 6;
+
+const TITLE_STYLE = 'text;html=1;align=left;verticalAlign=middle;fontSize=16;fontStyle=1;';
+const TICK_LABEL_STYLE = 'text;html=1;align=center;verticalAlign=bottom;fontSize=10;';
+const AXIS_STYLE = 'endArrow=none;html=1;';
+const LANE_STYLE = 'swimlane;horizontal=0;startSize=120;html=1;whiteSpace=wrap;';
+const DEPENDENCY_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;endFill=1;exitX=1;exitY=0.5;entryX=0;entryY=0.5;';
+const MILESTONE_STYLE = 'rhombus;whiteSpace=wrap;html=1;fillColor=#000000;strokeColor=#000000;labelPosition=right;verticalLabelPosition=middle;align=left;verticalAlign=middle;spacingLeft=4;';
+
+/**
+ * Bar colors by task state, critical tasks get a red border
+ */
+const BAR_COLORS = {
+  default: 'fillColor=#dae8fc;strokeColor=#6c8ebf;',
+  active: 'fillColor=#fff2cc;strokeColor=#d6b656;',
+  done: 'fillColor=#f5f5f5;strokeColor=#666666;fontColor=#333333;',
+  crit: 'fillColor=#f8cecc;strokeColor=#b85450;'
+};
+
+/**
+ * Build the draw.io cells of a gantt chart
+ * @param {Object} gantt - { title, sections, tasks } from parseMermaidCode
+ * @returns {Object} - { nodes, edges, containers } for generateDrawioXML
+ */
+export function buildGanttCells(gantt) {
+  const nodes = [];
+  const edges = [];
+  const containers = [];
+
+  // Task IDs come from the chart; the cells drawn around them must not reuse one
+  const taskIds = new Set(gantt.tasks.map(task => task.id));
+  const cellId = base => {
+    let id = base;
+    while (taskIds.has(id)) id = `${id}_gantt`;
+    return id;
+  };
+
+  const first = Math.min(...gantt.tasks.map(task => task.start));
+  const last = Math.max(...gantt.tasks.map(task => task.end));
+  const days = Math.max(1, Math.ceil((last - first) / DAY));
+  const dayWidth = Math.min(MAX_DAY_WIDTH, Math.max(MIN_DAY_WIDTH, TIMELINE_WIDTH / days));
+  const timelineWidth = days * dayWidth;
+  const toX = time => (time - first) / DAY * dayWidth;
+
+  let y = START_Y;
+  if (gantt.title) {
+    nodes.push({ id: cellId('gantt_title'), label: gantt.title, drawioStyle: TITLE_STYLE, x: START_X, y, width: LANE_HEADER + timelineWidth, height: TITLE_HEIGHT });
+    y += TITLE_HEIGHT;
+  }
+
+  // Date axis above the lanes, ticks by day, week or month depending on the span
+  const axisX = START_X + LANE_HEADER;
+  const axisY = y + AXIS_HEIGHT;
+  edges.push({ id: cellId('gantt_axis'), label: '', drawioStyle: AXIS_STYLE, sourcePoint: { x: axisX, y: axisY }, targetPoint: { x: axisX + timelineWidth, y: axisY } });
+  getTicks(first, first + days * DAY).forEach((tick, index) => {
+    const x = Math.round(axisX + toX(tick));
+    edges.push({ id: cellId(`gantt_tick_${index}`), label: '', drawioStyle: AXIS_STYLE, sourcePoint: { x, y: axisY - TICK_SIZE }, targetPoint: { x, y: axisY } });
+    nodes.push({ id: cellId(`gantt_tick_label_${index}`), label: formatDate(tick), drawioStyle: TICK_LABEL_STYLE, x: x - 40, y: axisY - AXIS_HEIGHT, width: 80, height: AXIS_HEIGHT - TICK_SIZE });
+  });
+  y = axisY;
+
+  // Tasks before the first section get a lane without a title
+  const lanes = gantt.tasks.some(task => task.section === null)
+    ? [{ id: 'section_none', label: '' }, ...gantt.sections]
+    : gantt.sections;
+
+  lanes.forEach(section => {
+    const tasks = gantt.tasks.filter(task => (task.section ?? 'section_none') === section.id);
+    if (tasks.length === 0) return;
+
+    const height = tasks.length * ROW_HEIGHT;
+    const laneId = cellId(section.id);
+    containers.push({ id: laneId, label: section.label, drawioStyle: LANE_STYLE, x: START_X, y, width: LANE_HEADER + timelineWidth, height });
+
+    tasks.forEach((task, row) => {
+      const rowY = row * ROW_HEIGHT;
+      const x = LANE_HEADER + toX(task.start);
+
+      if (task.milestone) {
+        nodes.push({
+          id: task.id,
+          label: task.label,
+          drawioStyle: MILESTONE_STYLE,
+          x: Math.round(x - MILESTONE_SIZE / 2),
+          y: rowY + (ROW_HEIGHT - MILESTONE_SIZE) / 2,
+          width: MILESTONE_SIZE,
+          height: MILESTONE_SIZE,
+          parent: laneId
+        });
+        return;
+      }
+
+      // Labels that do not fit in their bar are written after it
+      const width = Math.max(2, Math.round(toX(task.end) - toX(task.start)));
+      const fits = task.label.length * 7 + 8 <= width;
+      nodes.push({
+        id: task.id,
+        label: task.label,
+        drawioStyle: `rounded=1;whiteSpace=wrap;html=1;${getBarColors(task)}${task.crit ? 'strokeWidth=2;' : ''}${fits ? '' : 'labelPosition=right;verticalLabelPosition=middle;align=left;verticalAlign=middle;spacingLeft=4;'}`,
+        x: Math.round(x),
+        y: rowY + (ROW_HEIGHT - BAR_HEIGHT) / 2,
+        width,
+        height: BAR_HEIGHT,
+        parent: laneId
+      });
+    });
+
+    y += height;
+  });
+
+  gantt.tasks.forEach(task => {
+    task.dependencies.forEach(dependency => {
+      edges.push({ id: cellId(`dependency_${edges.length}`), source: dependency, target: task.id, label: '', drawioStyle: DEPENDENCY_STYLE });
+    });
+  });
+
+  return { nodes, edges, containers };
+}
+
+function getBarColors(task) {
+  if (task.crit) return BAR_COLORS.crit;
+  if (task.done) return BAR_COLORS.done;
+  if (task.active) return BAR_COLORS.active;
+  return BAR_COLORS.default;
+}
+
+/**
+ * Tick dates between two timestamps: daily up to two weeks, weekly up to
+ * four months, monthly beyond
+ */
+function getTicks(start, end) {
+  const days = (end - start) / DAY;
+  const ticks = [];
+
+  if (days > 120) {
+    const date = new Date(start);
+    let tick = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + (date.getUTCDate() > 1 ? 1 : 0), 1);
+    while (tick <= end) {
+      ticks.push(tick);
+      const next = new Date(tick);
+      tick = Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 1);
+    }
+    return ticks;
+  }
+
+  const step = days > 14 ? 7 * DAY : DAY;
+  for (let tick = Math.ceil(start / DAY) * DAY; tick <= end; tick += step) {
+    ticks.push(tick);
+  }
+  return ticks;
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export default {
+  buildGanttCells
+};
@@ -0,0 +1,117 @@
+/**
+ * Mermaid ID Mapping
+ * Assigns unique, valid Mermaid IDs to draw.io cells and keeps the way back
+ */
+
+/**
+ * Words Mermaid reads as keywords when used as a bare ID
+ */
+const RESERVED_IDS = new Set([
+  'end', 'graph', 'flowchart', 'subgraph', 'direction', 'style', 'linkstyle',
+  'classdef', 'class', 'click', 'call', 'href', 'default', 'state', 'note',
+  'participant', 'actor', 'loop', 'alt', 'else', 'opt', 'par', 'and', 'rect',
+  'critical', 'break', 'activate', 'deactivate', 'autonumber'
+]);
+
+/**
+ * Letters that Unicode decomposition does not reduce to ASCII
+ */
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'ø': 'o', 'Ø': 'O', 'œ': 'oe', 'Œ': 'OE',
+  'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', 'þ': 'th', 'Þ': 'Th', 'ı': 'i'
+};
+
+/**
+ * Create an ID mapper for one conversion
+ * Every draw.io ID gets exactly one Mermaid ID, and no two share one.
+ * @param {object} options - { readable: false } derive IDs from labels
+ *   (camelCase, transliterated) instead of draw.io's random IDs
+ */
+export function createIdMapper(options = {}) {
+  const { readable = false } = options;
+  const toMermaid = new Map();
+  const toDrawio = new Map();
+  
+  /**
+   * Get (or assign) the Mermaid ID for a draw.io ID
+   * The label is only used the first time, in readable mode
+   */
+  const get = (drawioId, label = '') => {
+    if (toMermaid.has(drawioId)) {
+      return toMermaid.get(drawioId);
+    }
+    
+    let base = (readable && toCamelCase(label)) || toIdentifier(drawioId || '') || 'node';
+    if (RESERVED_IDS.has(base.toLowerCase())) {
+      base = `${base}Node`;
+    }
+    
+    let id = base;
+    let suffix = 2;
+    while (toDrawio.has(id)) {
+      id = `${base}_${suffix++}`;
+    }
+    
+    toMermaid.set(drawioId, id);
+    toDrawio.set(id, drawioId);
+    return id;
+  };
+  
+  return {
+    get,
+    toDrawioId: (mermaidId) => toDrawio.get(mermaidId),
+    toObject: () => Object.fromEntries(toDrawio)
+  };
+}
+
+/**
+ * Strip accents and map special letters to ASCII (Canción → Cancion)
+ */
+export function transliterate(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæÆøØœŒđĐłŁþÞı]/g, char => TRANSLITERATIONS[char]);
+}
+
+/**
+ * Turn any string into a Mermaid-safe identifier
+ * Letters without an ASCII form are dropped, so the result may be empty
+ */
+function toIdentifier(text) {
+  const id = transliterate(text)
+    .replace(/[^A-Za-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  
+  return /^[0-9]/.test(id) ? `n_${id}` : id;
+}
+
+/**
+ * Build a camelCase ID from the first words of a label
+ */
+function toCamelCase(label) {
+  const firstLine = (label || '')
+    .replace(/\*\*/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .find(Boolean) || '';
+  
+  const words = transliterate(firstLine)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, 4);
+  
+  const id = words
+    .map((word, index) => index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  
+  return /^[0-9]/.test(id) ? `n${id}` : id;
+}
+
+export default {
+  createIdMapper,
+  transliterate
+};
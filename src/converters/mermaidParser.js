@@ -3,11 +3,14 @@
  * Parses Mermaid diagram syntax and extracts nodes and edges
  */
 
+import { parseFlowchart, decodeLabel } from './flowchartParser.js';
+import { parseGantt } from './ganttParser.js';
+
 /**
  * Parse Mermaid code and extract structure
  */
 export function parseMermaidCode(code) {
-  const lines = code.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('%%'));
+  const lines = splitStatements(stripFrontMatter(code)).map(l => l.trim()).filter(l => l && !l.startsWith('%%'));
   
   if (lines.length === 0) {
     throw new Error('El código Mermaid está vacío');
@@ -31,12 +34,15 @@ export function parseMermaidCode(code) {
     diagramType = 'gantt';
   } else if (firstLine.startsWith('pie')) {
     diagramType = 'pie';
+  } else if (firstLine.startsWith('mindmap')) {
+    diagramType = 'mindmap';
   }
   
   let result;
   switch (diagramType) {
     case 'flowchart':
-      result = parseFlowchart(lines);
+      // Flowcharts go through the grammar parser, which needs the original line numbers
+      result = parseFlowchart(code);
       break;
     case 'sequence':
       result = parseSequenceDiagram(lines);
@@ -44,342 +50,887 @@ export function parseMermaidCode(code) {
     case 'class':
       result = parseClassDiagram(lines);
       break;
+    case 'state':
+      result = parseStateDiagram(lines);
+      break;
+    case 'er':
+      result = parseErDiagram(lines);
+      break;
+    case 'gantt':
+      result = parseGantt(lines);
+      break;
+    case 'mindmap':
+      // The hierarchy comes from indentation, which the trimmed lines have lost
+      result = parseMindmap(code);
+      break;
     default:
-      result = parseFlowchart(lines);
+      throw new Error(`Tipo de diagrama no soportado para la conversión: ${diagramType}`);
   }
   
+  // Structured "%% @meta id key=value" comments carry draw.io properties
+  applyMetaComments(code, result.nodes);
+  
   return { ...result, diagramType };
 }
 
 /**
- * Parse flowchart/graph diagram
+ * Remove a leading "---" front matter block (title, config)
  */
-function parseFlowchart(lines) {
-  const nodes = new Map();
-  const edges = [];
-  const subgraphs = [];
+function stripFrontMatter(code) {
+  return code.replace(/^\s*---\r?\n[\s\S]*?\r?\n---[ \t]*(?=\r?\n|$)/, '');
+}
+
+/**
+ * Split Mermaid code into lines, keeping markdown strings ("`...`") that span
+ * lines together with their statement; any other quote stays on its line
+ */
+function splitStatements(code) {
+  const lines = [];
+  let current = null;
+  
+  code.split('\n').forEach(line => {
+    current = current === null ? line : `${current}\n${line}`;
+    const isComment = current.trim().startsWith('%%');
+    if (isComment || !hasOpenMarkdownString(current)) {
+      lines.push(current);
+      current = null;
+    }
+  });
   
-  let currentSubgraph = null;
-  
-  // Node shape patterns
-  const nodePatterns = [
-    { regex: /\[([^\]]+)\]/, shape: 'rectangle' },      // [text]
-    { regex: /\(([^)]+)\)/, shape: 'rounded' },         // (text)
-    { regex: /\(\[([^\]]+)\]\)/, shape: 'stadium' },    // ([text])
-    { regex: /\[\[([^\]]+)\]\]/, shape: 'subroutine' }, // [[text]]
-    { regex: /\[\(([^)]+)\)\]/, shape: 'cylinder' },    // [(text)]
-    { regex: /\{\{([^}]+)\}\}/, shape: 'hexagon' },     // {{text}}
-    { regex: /\{([^}]+)\}/, shape: 'diamond' },         // {text}
-    { regex: /\(\(([^)]+)\)\)/, shape: 'circle' },      // ((text))
-    { regex: /\>([^\]]+)\]/, shape: 'asymmetric' },     // >text]
-    { regex: /\[\/([^\/]+)\/\]/, shape: 'parallelogram' } // [/text/]
-  ];
+  if (current !== null) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Check if a markdown string ("` opens it, `" closes it) is still open at the end of the text
+ */
+function hasOpenMarkdownString(text) {
+  let open = false;
+  for (const [token] of text.matchAll(/"`|`"/g)) {
+    if (!open && token === '"`') open = true;
+    else if (open && token === '`"') open = false;
+  }
+  return open;
+}
+
+/**
+ * Read "%% @meta id key=value" comments into node links and properties
+ * link, linkTarget and tooltip are node fields, any other key is a custom property;
+ * keys become XML attribute names, so keys that are not valid names are skipped
+ */
+function applyMetaComments(code, nodes) {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
   
-  // Edge patterns
-  const edgePatterns = [
-    { regex: /-->\|([^|]+)\|/, type: 'arrow', hasLabel: true },
-    { regex: /-->/, type: 'arrow', hasLabel: false },
-    { regex: /---\|([^|]+)\|/, type: 'line', hasLabel: true },
-    { regex: /---/, type: 'line', hasLabel: false },
-    { regex: /-\.->\|([^|]+)\|/, type: 'dotted', hasLabel: true },
-    { regex: /-\.->/, type: 'dotted', hasLabel: false },
-    { regex: /==>\|([^|]+)\|/, type: 'thick', hasLabel: true },
-    { regex: /==>/, type: 'thick', hasLabel: false }
-  ];
+  code.split('\n').forEach(line => {
+    const match = line.trim().match(/^%%\s*@meta\s+(\S+)\s+([^=\s]+)=(.*)$/);
+    const node = match && nodeMap.get(match[1]);
+    if (!node) return;
+    
+    const [, , key, value] = match;
+    if (!/^[A-Za-z_][\w.-]*$/.test(key) || key === 'id' || key === 'label') return;
+    if (key === 'link' || key === 'linkTarget' || key === 'tooltip') {
+      node[key] = value.trim();
+    } else {
+      node.properties = { ...node.properties, [key]: value.trim() };
+    }
+  });
+}
+
+/**
+ * Mermaid sequence arrows, longest first so "-->>" is not read as "-->"
+ * line is solid or dotted, end is the arrow head at the target
+ */
+const SEQUENCE_ARROWS = [
+  { token: '<<-->>', line: 'dotted', end: 'block', start: 'block' },
+  { token: '<<->>', line: 'solid', end: 'block', start: 'block' },
+  { token: '-->>', line: 'dotted', end: 'block' },
+  { token: '->>', line: 'solid', end: 'block' },
+  { token: '--x', line: 'dotted', end: 'cross' },
+  { token: '-x', line: 'solid', end: 'cross' },
+  { token: '--)', line: 'dotted', end: 'openAsync' },
+  { token: '-)', line: 'solid', end: 'openAsync' },
+  { token: '-->', line: 'dotted', end: 'none' },
+  { token: '->', line: 'solid', end: 'none' }
+];
+
+const SEQUENCE_MESSAGE = new RegExp(
+  `^([^\\s:+-][^:]*?)\\s*(${SEQUENCE_ARROWS.map(a => a.token.replace(/[()]/g, '\\$&')).join('|')})\\s*([+-]?)\\s*([^:]+?)\\s*(?::(.*))?$`
+);
+
+/**
+ * Blocks closed by "end": fragments are drawn, box and rect only group
+ */
+const SEQUENCE_FRAGMENTS = ['alt', 'opt', 'loop', 'par', 'critical', 'break'];
+const SEQUENCE_SECTIONS = { else: 'alt', and: 'par', option: 'critical' };
+
+/**
+ * Parse sequence diagram
+ * Besides participants (nodes) and messages (edges), returns sequence.events in
+ * source order: messages, activations, notes and fragments, for the lifeline layout
+ */
+function parseSequenceDiagram(lines) {
+  const nodes = [];
+  const edges = [];
+  const participants = new Map();
+  const events = [];
+  const blocks = [];
+  let autonumber = null;
+  
+  const addParticipant = (id, label, actor) => {
+    if (participants.has(id)) return;
+    const participant = { id, label: decodeLabel(label || id).label, actor };
+    participants.set(id, participant);
+    nodes.push({ id, label: participant.label, shape: actor ? 'actor' : 'rectangle' });
+  };
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i];
     
-    // Skip direction declarations
-    if (/^(TB|TD|BT|RL|LR)$/.test(line)) continue;
-    
-    // Handle subgraphs
-    if (line.startsWith('subgraph')) {
-      const match = line.match(/subgraph\s+(\S+)(?:\s*\[([^\]]+)\])?/);
-      if (match) {
-        currentSubgraph = {
-          id: match[1],
-          label: match[2] || match[1],
-          nodes: []
-        };
-        subgraphs.push(currentSubgraph);
+    // Participant and actor declarations ("create" only changes when the lifeline starts)
+    const participantMatch = line.match(/^(?:create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i);
+    if (participantMatch) {
+      const id = participantMatch[2].replace(/@\{.*\}$/, '').replace(/^"(.*)"$/, '$1');
+      addParticipant(id, participantMatch[3], participantMatch[1].toLowerCase() === 'actor');
+      continue;
+    }
+    
+    const autonumberMatch = line.match(/^autonumber(?:\s+(\d+))?(?:\s+(\d+))?\s*$/i);
+    if (autonumberMatch) {
+      autonumber = {
+        start: autonumberMatch[1] ? parseInt(autonumberMatch[1], 10) : 1,
+        step: autonumberMatch[2] ? parseInt(autonumberMatch[2], 10) : 1
+      };
+      continue;
+    }
+    if (/^autonumber\s+off$/i.test(line)) {
+      autonumber = null;
+      continue;
+    }
+    
+    const activationMatch = line.match(/^(activate|deactivate)\s+(\S+)$/i);
+    if (activationMatch) {
+      events.push({ type: activationMatch[1].toLowerCase(), participant: activationMatch[2] });
+      continue;
+    }
+    
+    const noteMatch = line.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (noteMatch) {
+      const noteParticipants = noteMatch[2].split(',').map(id => id.trim());
+      noteParticipants.forEach(id => addParticipant(id));
+      events.push({
+        type: 'note',
+        placement: noteMatch[1].toLowerCase(),
+        participants: noteParticipants,
+        text: decodeLabel(noteMatch[3].trim()).label
+      });
+      continue;
+    }
+    
+    const blockMatch = line.match(/^(alt|opt|loop|par|par_over|critical|break|box|rect)\b\s*(.*)$/i);
+    if (blockMatch) {
+      const keyword = blockMatch[1].toLowerCase().replace('par_over', 'par');
+      blocks.push(keyword);
+      if (SEQUENCE_FRAGMENTS.includes(keyword)) {
+        events.push({ type: 'frameStart', keyword, label: decodeLabel(blockMatch[2].trim()).label });
       }
       continue;
     }
     
-    if (line === 'end') {
-      currentSubgraph = null;
+    const sectionMatch = line.match(/^(else|and|option)\b\s*(.*)$/i);
+    if (sectionMatch && blocks[blocks.length - 1] === SEQUENCE_SECTIONS[sectionMatch[1].toLowerCase()]) {
+      events.push({ type: 'frameSection', keyword: sectionMatch[1].toLowerCase(), label: decodeLabel(sectionMatch[2].trim()).label });
       continue;
     }
     
-    // Parse edges and nodes from the line
-    parseFlowchartLine(line, nodes, edges, nodePatterns, edgePatterns, currentSubgraph);
+    if (/^end$/i.test(line)) {
+      const keyword = blocks.pop();
+      if (SEQUENCE_FRAGMENTS.includes(keyword)) {
+        events.push({ type: 'frameEnd' });
+      }
+      continue;
+    }
+    
+    // Messages, "+"/"-" after the arrow activates the target / deactivates the source
+    const messageMatch = line.match(SEQUENCE_MESSAGE);
+    if (messageMatch) {
+      const [, source, token, activation, target, text = ''] = messageMatch;
+      const arrow = SEQUENCE_ARROWS.find(a => a.token === token);
+      
+      // Add participants if not declared
+      addParticipant(source.trim());
+      addParticipant(target);
+      
+      const label = decodeLabel(text.trim()).label;
+      const number = autonumber ? autonumber.start : null;
+      if (autonumber) autonumber.start += autonumber.step;
+      
+      events.push({
+        type: 'message',
+        source: source.trim(),
+        target,
+        label,
+        number,
+        line: arrow.line,
+        startArrow: arrow.start || 'none',
+        endArrow: arrow.end,
+        activate: activation === '+',
+        deactivate: activation === '-'
+      });
+      
+      edges.push({
+        id: `edge_${edges.length}`,
+        source: source.trim(),
+        target,
+        label,
+        type: 'arrow'
+      });
+    }
   }
   
   return {
-    nodes: Array.from(nodes.values()),
+    nodes,
     edges,
-    subgraphs
+    subgraphs: [],
+    sequence: { participants: Array.from(participants.values()), events }
   };
 }
 
 /**
- * Parse a single flowchart line
+ * Mermaid class relation ends, written before (left) or after (right) the line
+ * Dotted lines turn inheritance into realization and association into dependency
+ */
+const CLASS_RELATION_ENDS = {
+  '<|': 'inheritance', '|>': 'inheritance',
+  '*': 'composition',
+  'o': 'aggregation',
+  '<': 'association', '>': 'association'
+};
+
+const CLASS_NAME = '(`[^`]+`|[\\w$-]+)';
+/**
+ * A relation end may name a generic class ("List~T~"), the relation joins the base class
+ */
+const CLASS_REFERENCE = `${CLASS_NAME}(?:~([^":]*?)~)?`;
+const CLASS_RELATION = new RegExp(
+  `^${CLASS_REFERENCE}\\s*(?:"([^"]*)"\\s*)?(<\\||\\*|o|<)?(--|\\.\\.)(\\|>|\\*|o|>)?\\s*(?:"([^"]*)"\\s*)?${CLASS_REFERENCE}\\s*(?::\\s*(.*))?$`
+);
+const CLASS_DECLARATION = new RegExp(
+  `^class\\s+${CLASS_NAME}(?:~(.*?)~(?=[\\s\\[:{]|$))?(?:\\s*\\["([^"]*)"\\])?(?::::[\\w-]+)?\\s*(\\{)?\\s*(\\})?$`
+);
+
+/**
+ * Parse class diagram
+ * Classes keep their annotations, generic parameter and members (attributes and
+ * methods split into visibility, name, type and classifier); relations keep the
+ * UML kind of each end, their line and their cardinalities. Namespaces are subgraphs
  */
-function parseFlowchartLine(line, nodes, edges, nodePatterns, edgePatterns, currentSubgraph) {
-  // Find edge pattern in line
-  let edgeMatch = null;
-  let edgeType = 'arrow';
-  let edgeLabel = '';
-  let edgeIndex = -1;
-  let matchLength = 0;
-  
-  for (const pattern of edgePatterns) {
-    const match = line.match(pattern.regex);
-    if (match && (edgeIndex === -1 || match.index < edgeIndex)) {
-      edgeMatch = match;
-      edgeType = pattern.type;
-      edgeLabel = pattern.hasLabel ? match[1] : '';
-      edgeIndex = match.index;
-      matchLength = match[0].length;
+function parseClassDiagram(lines) {
+  const nodes = [];
+  const edges = [];
+  const subgraphs = [];
+  const classes = new Map();
+  const blocks = [];
+  let direction = 'TB';
+  
+  const currentNamespace = () => {
+    const namespace = blocks.filter(block => block.type === 'namespace').pop();
+    return namespace ? namespace.id : null;
+  };
+  
+  const addClass = (rawId) => {
+    const id = rawId.replace(/^`(.*)`$/, '$1');
+    if (!classes.has(id)) {
+      const node = {
+        id,
+        label: id,
+        shape: 'class',
+        generic: null,
+        annotations: [],
+        attributes: [],
+        methods: [],
+        subgraph: currentNamespace()
+      };
+      classes.set(id, node);
+      nodes.push(node);
     }
-  }
+    return classes.get(id);
+  };
   
-  if (edgeMatch) {
-    // Split line into source and target parts
-    const sourcePart = line.substring(0, edgeIndex).trim();
-    const targetPart = line.substring(edgeIndex + matchLength).trim();
-    
-    // Parse source node
-    const sourceNode = parseNodeFromPart(sourcePart, nodePatterns);
-    if (sourceNode) {
-      if (!nodes.has(sourceNode.id)) {
-        nodes.set(sourceNode.id, sourceNode);
-        if (currentSubgraph) {
-          currentSubgraph.nodes.push(sourceNode.id);
-        }
+  const addMember = (node, text) => {
+    const member = parseClassMember(text);
+    if (member) {
+      (member.kind === 'method' ? node.methods : node.attributes).push(member);
+    }
+  };
+  
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    const block = blocks[blocks.length - 1];
+    
+    if (line === '}') {
+      blocks.pop();
+      continue;
+    }
+    
+    // Inside a class body every line is an annotation or a member
+    if (block && block.type === 'class') {
+      const annotationMatch = line.match(/^<<\s*(.+?)\s*>>$/);
+      if (annotationMatch) {
+        block.node.annotations.push(annotationMatch[1]);
+      } else {
+        addMember(block.node, line);
       }
+      continue;
+    }
+    
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/i);
+    if (directionMatch) {
+      direction = directionMatch[1].toUpperCase().replace('TD', 'TB');
+      continue;
     }
     
-    // Parse target node(s) - handle chained connections
-    const targetNodes = parseChainedTargets(targetPart, nodes, edges, nodePatterns, edgePatterns, currentSubgraph);
+    const namespaceMatch = line.match(/^namespace\s+([\w.$-]+)\s*\{$/);
+    if (namespaceMatch) {
+      const id = namespaceMatch[1];
+      subgraphs.push({ id, label: id, parent: currentNamespace(), direction: null });
+      blocks.push({ type: 'namespace', id });
+      continue;
+    }
+    
+    const classMatch = line.match(CLASS_DECLARATION);
+    if (classMatch) {
+      const [, id, generic, label, open, close] = classMatch;
+      const node = addClass(id);
+      if (generic) node.generic = toGenericType(generic);
+      if (label !== undefined) node.label = decodeLabel(label).label;
+      if (open && !close) blocks.push({ type: 'class', node });
+      continue;
+    }
+    
+    // "<<interface>> Shape"
+    const annotationMatch = line.match(/^<<\s*(.+?)\s*>>\s*(\S+)$/);
+    if (annotationMatch) {
+      addClass(annotationMatch[2]).annotations.push(annotationMatch[1]);
+      continue;
+    }
     
-    if (sourceNode && targetNodes.length > 0) {
+    const relationMatch = line.match(CLASS_RELATION);
+    if (relationMatch) {
+      const [, source, sourceGeneric, sourceCardinality, left, link, right, targetCardinality, target, targetGeneric, label = ''] = relationMatch;
+      const dotted = link === '..';
+      const getKind = token => {
+        const kind = CLASS_RELATION_ENDS[token] || 'none';
+        if (dotted && kind === 'inheritance') return 'realization';
+        if (dotted && kind === 'association') return 'dependency';
+        return kind;
+      };
+      
+      const addReference = (id, generic) => {
+        const node = addClass(id);
+        if (generic && !node.generic) node.generic = toGenericType(generic);
+        return node;
+      };
+      
       edges.push({
         id: `edge_${edges.length}`,
-        source: sourceNode.id,
-        target: targetNodes[0].id,
-        label: edgeLabel,
-        type: edgeType
+        source: addReference(source, sourceGeneric).id,
+        target: addReference(target, targetGeneric).id,
+        label: decodeLabel(label.trim()).label,
+        type: 'arrow',
+        line: dotted ? 'dotted' : 'solid',
+        startKind: getKind(left),
+        endKind: getKind(right),
+        sourceCardinality: sourceCardinality || '',
+        targetCardinality: targetCardinality || ''
       });
+      continue;
     }
-  } else {
-    // Just a node definition
-    const node = parseNodeFromPart(line, nodePatterns);
-    if (node && !nodes.has(node.id)) {
-      nodes.set(node.id, node);
-      if (currentSubgraph) {
-        currentSubgraph.nodes.push(node.id);
-      }
+    
+    // "Shape : +area() double"
+    const memberMatch = line.match(new RegExp(`^${CLASS_NAME}\\s*:\\s*(.+)$`));
+    if (memberMatch) {
+      addMember(addClass(memberMatch[1]), memberMatch[2]);
     }
+    
+    // Notes, styling and interaction statements have no draw.io counterpart here
   }
+  
+  return { nodes, edges, subgraphs, direction };
 }
 
 /**
- * Parse chained target nodes (A --> B --> C)
+ * Split a Mermaid class member into its parts
+ * "+List~int~ values$" is a static attribute, "+area(int x) double*" an abstract method
  */
-function parseChainedTargets(part, nodes, edges, nodePatterns, edgePatterns, currentSubgraph) {
-  const result = [];
-  
-  // Check if there are more edges in this part
-  let hasMoreEdges = false;
-  for (const pattern of edgePatterns) {
-    if (pattern.regex.test(part)) {
-      hasMoreEdges = true;
-      break;
-    }
+function parseClassMember(text) {
+  let rest = text.trim();
+  if (!rest) return null;
+  
+  let classifier = '';
+  if (/[$*]$/.test(rest)) {
+    classifier = rest.slice(-1);
+    rest = rest.slice(0, -1).trim();
   }
   
-  if (hasMoreEdges) {
-    // Recursively parse
-    parseFlowchartLine(part, nodes, edges, nodePatterns, edgePatterns, currentSubgraph);
-    // Get the first node from the part
-    const firstEdgeMatch = part.match(/^([^-=]+)/);
-    if (firstEdgeMatch) {
-      const node = parseNodeFromPart(firstEdgeMatch[1].trim(), nodePatterns);
-      if (node) {
-        result.push(node);
-      }
-    }
-  } else {
-    // Just a node
-    const node = parseNodeFromPart(part, nodePatterns);
-    if (node) {
-      if (!nodes.has(node.id)) {
-        nodes.set(node.id, node);
-        if (currentSubgraph) {
-          currentSubgraph.nodes.push(node.id);
-        }
-      }
-      result.push(node);
+  let visibility = '';
+  if (/^[+\-#~]/.test(rest)) {
+    visibility = rest[0];
+    rest = rest.slice(1).trim();
+  }
+  
+  const open = rest.indexOf('(');
+  const close = rest.lastIndexOf(')');
+  
+  if (open > 0 && close > open) {
+    const parameters = splitGenericList(rest.slice(open + 1, close))
+      .map(parameter => parameter.trim())
+      .filter(Boolean)
+      .map(parameter => {
+        const typed = readTypedName(parameter);
+        return typed || { name: toGenericType(parameter), type: '' };
+      });
+    
+    // The classifier may also follow the parameter list, before the return type ("area()$ double")
+    let returnType = rest.slice(close + 1).trim();
+    if (!classifier && /^[$*]/.test(returnType)) {
+      classifier = returnType[0];
+      returnType = returnType.slice(1).trim();
     }
+    
+    return {
+      kind: 'method',
+      visibility,
+      name: rest.slice(0, open).trim(),
+      parameters,
+      type: toGenericType(returnType),
+      classifier
+    };
   }
   
-  return result;
+  // "String name" or "name: String", then an optional "= default"; anything else is kept as written
+  const assignment = rest.match(/^([^=]*?)\s*=\s*(.*)$/);
+  const typed = readTypedName(assignment ? assignment[1] : rest);
+  return {
+    kind: 'attribute',
+    visibility,
+    name: typed ? typed.name : toGenericType(rest),
+    type: typed ? typed.type : '',
+    defaultValue: typed && assignment ? assignment[2] : '',
+    classifier
+  };
 }
 
 /**
- * Parse node from a string part
+ * Read a typed name written either way Mermaid allows: "Type name" or "name: Type"
+ * Returns { name, type } or null when the text has no type
  */
-function parseNodeFromPart(part, nodePatterns) {
-  if (!part.trim()) return null;
-  
-  // Try to extract node ID and content
-  let id = '';
-  let label = '';
-  let shape = 'rectangle';
-  
-  // Check for node patterns
-  for (const pattern of nodePatterns) {
-    const match = part.match(pattern.regex);
-    if (match) {
-      // ID is before the shape brackets
-      const idMatch = part.match(/^([A-Za-z_][A-Za-z0-9_]*)/);
-      id = idMatch ? idMatch[1] : `node_${Date.now()}`;
-      label = match[1].trim();
-      shape = pattern.shape;
-      break;
-    }
-  }
+function readTypedName(text) {
+  const colon = text.match(/^([\w$]+)\s*:\s*(.+)$/);
+  if (colon) return { name: colon[1], type: toGenericType(colon[2].trim()) };
   
-  // If no pattern matched, it's just an ID
-  if (!id) {
-    const idMatch = part.match(/^([A-Za-z_][A-Za-z0-9_]*)/);
-    if (idMatch) {
-      id = idMatch[1];
-      label = id;
-    }
-  }
+  const typeFirst = text.match(/^(.+?)\s+([\w$]+)$/);
+  if (typeFirst) return { name: typeFirst[2], type: toGenericType(typeFirst[1].trim()) };
   
-  if (!id) return null;
+  return null;
+}
+
+/**
+ * Split a parameter list on the commas outside generics ("Map~K, V~ items, int n")
+ * A tilde opens a generic when a name follows it and closes one otherwise
+ */
+function splitGenericList(text) {
+  const parts = [''];
+  let depth = 0;
+  
+  [...text].forEach((char, index) => {
+    if (char === '~') {
+      depth += /[\w$]/.test(text[index + 1] || '') ? 1 : -1;
+    } else if (char === ',' && depth <= 0) {
+      parts.push('');
+      return;
+    }
+    parts[parts.length - 1] += char;
+  });
   
-  return { id, label, shape };
+  return parts;
 }
 
 /**
- * Parse sequence diagram
+ * Write Mermaid tilde generics with angle brackets (List~List~int~~ becomes List<List<int>>)
+ * A tilde opens a parameter when a name follows it and closes one otherwise
  */
-function parseSequenceDiagram(lines) {
+function toGenericType(type) {
+  return type.replace(/~(?=([\w$]?))/g, (tilde, next) => next ? '<' : '>');
+}
+
+const STATE_ID = '(\\[\\*\\]|[\\w.$-]+)(?::::[\\w-]+)?';
+const STATE_TRANSITION = new RegExp(`^${STATE_ID}\\s*-->\\s*${STATE_ID}\\s*(?::\\s*(.*))?$`);
+
+/**
+ * Parse state diagram (stateDiagram and stateDiagram-v2)
+ * [*] is the start or end pseudo-state of the composite it appears in, composites
+ * are subgraphs and each "--" region of a concurrent composite is a subgraph inside it
+ * Nodes have a kind: state, start, end, choice, fork or join
+ */
+function parseStateDiagram(lines) {
   const nodes = [];
   const edges = [];
-  const participants = new Set();
+  const subgraphs = [];
+  const notes = [];
+  const states = new Map();
+  const labels = new Map();
+  const composites = new Set();
+  const scopes = [];
+  let direction = 'TB';
+  
+  const currentScope = () => scopes.length > 0 ? scopes[scopes.length - 1].id : null;
+  
+  const addState = (id, kind = 'state') => {
+    if (!states.has(id)) {
+      const node = { id, label: id, shape: 'rounded', kind, descriptions: [], subgraph: currentScope() };
+      states.set(id, node);
+      nodes.push(node);
+    }
+    return states.get(id);
+  };
+  
+  // [*] stands for the start when it is the source, the end when it is the target
+  const addEnd = (id, kind) => {
+    if (id !== '[*]') return addState(id).id;
+    const pseudoId = `${currentScope() || 'root'}_${kind}`;
+    return addState(pseudoId, kind).id;
+  };
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i];
     
-    // Participant declaration
-    const participantMatch = line.match(/participant\s+(\S+)(?:\s+as\s+(.+))?/i);
-    if (participantMatch) {
-      const id = participantMatch[1];
-      const label = participantMatch[2] || id;
-      if (!participants.has(id)) {
-        participants.add(id);
-        nodes.push({ id, label, shape: 'rectangle' });
-      }
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/i);
+    if (directionMatch) {
+      direction = directionMatch[1].toUpperCase().replace('TD', 'TB');
       continue;
     }
     
-    // Actor declaration
-    const actorMatch = line.match(/actor\s+(\S+)(?:\s+as\s+(.+))?/i);
-    if (actorMatch) {
-      const id = actorMatch[1];
-      const label = actorMatch[2] || id;
-      if (!participants.has(id)) {
-        participants.add(id);
-        nodes.push({ id, label, shape: 'circle' });
-      }
+    if (line === '}') {
+      scopes.pop();
       continue;
     }
     
-    // Message arrows
-    const messageMatch = line.match(/(\S+)\s*(->>|-->>|->|-->|-)>\s*(\S+)\s*:\s*(.+)/);
-    if (messageMatch) {
-      const source = messageMatch[1];
-      const target = messageMatch[3];
-      const label = messageMatch[4];
+    // Concurrent regions: what came before "--" becomes the first region
+    if (line === '--') {
+      const scope = scopes[scopes.length - 1];
+      if (!scope) continue;
       
-      // Add participants if not declared
-      if (!participants.has(source)) {
-        participants.add(source);
-        nodes.push({ id: source, label: source, shape: 'rectangle' });
+      if (scope.regions === 0) {
+        const firstRegion = `${scope.composite}_region_1`;
+        subgraphs.push({ id: firstRegion, label: '', parent: scope.composite, direction: null, region: true });
+        nodes.forEach(node => {
+          if (node.subgraph === scope.composite) node.subgraph = firstRegion;
+        });
+        subgraphs.forEach(subgraph => {
+          if (subgraph.parent === scope.composite && subgraph.id !== firstRegion) subgraph.parent = firstRegion;
+        });
+        scope.regions = 1;
       }
-      if (!participants.has(target)) {
-        participants.add(target);
-        nodes.push({ id: target, label: target, shape: 'rectangle' });
+      scope.regions += 1;
+      scope.id = `${scope.composite}_region_${scope.regions}`;
+      subgraphs.push({ id: scope.id, label: '', parent: scope.composite, direction: null, region: true });
+      continue;
+    }
+    
+    const compositeMatch = line.match(/^state\s+(?:"([^"]*)"\s+as\s+)?([\w.$-]+)(?::::[\w-]+)?\s*\{$/);
+    if (compositeMatch) {
+      const [, label, id] = compositeMatch;
+      if (label !== undefined) labels.set(id, decodeLabel(label).label);
+      composites.add(id);
+      subgraphs.push({ id, label: id, parent: currentScope(), direction: null });
+      scopes.push({ id, composite: id, regions: 0 });
+      continue;
+    }
+    
+    const pseudoStateMatch = line.match(/^state\s+([\w.$-]+)\s+<<(choice|fork|join)>>$/i);
+    if (pseudoStateMatch) {
+      addState(pseudoStateMatch[1]).kind = pseudoStateMatch[2].toLowerCase();
+      continue;
+    }
+    
+    // state "Long name" as id, state id : description
+    const stateMatch = line.match(/^state\s+(?:"([^"]*)"\s+as\s+)?([\w.$-]+)(?::::[\w-]+)?\s*(?::\s*(.*))?$/);
+    if (stateMatch) {
+      const [, label, id, description] = stateMatch;
+      const node = addState(id);
+      if (label !== undefined) labels.set(id, decodeLabel(label).label);
+      if (description) node.descriptions.push(decodeLabel(description.trim()).label);
+      continue;
+    }
+    
+    // Notes, on one line or up to "end note"
+    const noteMatch = line.match(/^note\s+(left of|right of)\s+([\w.$-]+)\s*(?::\s*(.*))?$/i);
+    if (noteMatch) {
+      const [, placement, target, text] = noteMatch;
+      let noteText = text;
+      if (noteText === undefined) {
+        const noteLines = [];
+        while (i + 1 < lines.length && !/^end\s+note$/i.test(lines[i + 1])) {
+          noteLines.push(lines[++i]);
+        }
+        i++;
+        noteText = noteLines.join('\n');
       }
-      
+      addState(target);
+      notes.push({ id: `note_${notes.length}`, target, placement: placement.toLowerCase(), text: decodeLabel(noteText.trim()).label });
+      continue;
+    }
+    
+    const transitionMatch = line.match(STATE_TRANSITION);
+    if (transitionMatch) {
+      const [, source, target, label = ''] = transitionMatch;
       edges.push({
         id: `edge_${edges.length}`,
-        source,
-        target,
-        label,
+        source: addEnd(source, 'start'),
+        target: addEnd(target, 'end'),
+        label: decodeLabel(label.trim()).label,
         type: 'arrow'
       });
+      continue;
     }
+    
+    const descriptionMatch = line.match(/^([\w.$-]+)\s*:\s*(.+)$/);
+    if (descriptionMatch) {
+      addState(descriptionMatch[1]).descriptions.push(decodeLabel(descriptionMatch[2].trim()).label);
+    }
+    
+    // classDef, class and style statements have no draw.io counterpart here
   }
   
-  return { nodes, edges, subgraphs: [] };
+  // Composites are containers, a state mentioned before its block is not a separate node
+  subgraphs.forEach(subgraph => {
+    if (labels.has(subgraph.id)) subgraph.label = labels.get(subgraph.id);
+  });
+  const stateNodes = nodes.filter(node => !composites.has(node.id));
+  stateNodes.forEach(node => {
+    if (labels.has(node.id)) node.label = labels.get(node.id);
+  });
+  
+  return { nodes: stateNodes, edges, subgraphs, direction, notes };
 }
 
 /**
- * Parse class diagram
+ * Mermaid ER cardinality tokens and their word aliases
  */
-function parseClassDiagram(lines) {
+const ER_LEFT_TOKENS = { '||': 'one', '|o': 'zeroOrOne', '}o': 'zeroOrMore', '}|': 'oneOrMore' };
+const ER_RIGHT_TOKENS = { '||': 'one', 'o|': 'zeroOrOne', 'o{': 'zeroOrMore', '|{': 'oneOrMore' };
+const ER_CARDINALITY_ALIASES = {
+  'only one': 'one', '1': 'one',
+  'zero or one': 'zeroOrOne', 'one or zero': 'zeroOrOne',
+  'zero or more': 'zeroOrMore', 'zero or many': 'zeroOrMore', 'many(0)': 'zeroOrMore', '0+': 'zeroOrMore',
+  'one or more': 'oneOrMore', 'one or many': 'oneOrMore', 'many(1)': 'oneOrMore', '1+': 'oneOrMore'
+};
+
+const ER_NAME = '("[^"]*"|[\\w-]+)';
+const ER_ALIAS = '(only one|zero or one|one or zero|zero or more|zero or many|one or more|one or many|many\\([01]\\)|[01]\\+|1)';
+const ER_RELATIONSHIP = new RegExp(
+  `^${ER_NAME}\\s*(\\|\\||\\|o|\\}o|\\}\\|)(--|\\.\\.)(\\|\\||o\\||o\\{|\\|\\{)\\s*${ER_NAME}\\s*:\\s*(.+)$`
+);
+const ER_ALIAS_RELATIONSHIP = new RegExp(
+  `^${ER_NAME}\\s+${ER_ALIAS}\\s+(optionally to|to)\\s+${ER_ALIAS}\\s+${ER_NAME}\\s*:\\s*(.+)$`,
+  'i'
+);
+const ER_ATTRIBUTE = /^([\w\-()[\]~,.]+)\s+(\*?[\w\-()[\]]+)(?:\s+((?:PK|FK|UK)(?:\s*,\s*(?:PK|FK|UK))*))?(?:\s+"([^"]*)")?$/i;
+
+/**
+ * Parse ER diagram
+ * Entities keep their attributes (type, name, PK/FK/UK keys and comment), relationships
+ * the cardinality of each end and whether they are identifying (solid line)
+ */
+function parseErDiagram(lines) {
   const nodes = [];
   const edges = [];
-  const classes = new Set();
+  const entities = new Map();
+  let direction = 'TB';
+  let current = null;
+  
+  const addEntity = (rawName, alias) => {
+    const id = rawName.replace(/^"(.*)"$/, '$1');
+    if (!entities.has(id)) {
+      const node = { id, label: id, shape: 'entity', attributes: [] };
+      entities.set(id, node);
+      nodes.push(node);
+    }
+    const node = entities.get(id);
+    if (alias) node.label = decodeLabel(alias).label;
+    return node;
+  };
+  
+  const addRelationship = (source, target, sourceCardinality, targetCardinality, identifying, label) => {
+    edges.push({
+      id: `edge_${edges.length}`,
+      source: addEntity(source).id,
+      target: addEntity(target).id,
+      label: decodeLabel(label.trim()).label,
+      type: 'arrow',
+      sourceCardinality,
+      targetCardinality,
+      identifying
+    });
+  };
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i];
     
-    // Class declaration
-    const classMatch = line.match(/class\s+(\S+)\s*\{?/);
-    if (classMatch) {
-      const id = classMatch[1];
-      if (!classes.has(id)) {
-        classes.add(id);
-        nodes.push({ id, label: id, shape: 'rectangle' });
+    // Inside an entity block every line is an attribute
+    if (current) {
+      if (line === '}') {
+        current = null;
+        continue;
+      }
+      const attributeMatch = line.match(ER_ATTRIBUTE);
+      if (attributeMatch) {
+        const [, type, name, keys, comment] = attributeMatch;
+        current.attributes.push({
+          type,
+          name,
+          keys: keys ? keys.toUpperCase().split(/\s*,\s*/) : [],
+          comment: comment ? decodeLabel(comment).label : ''
+        });
       }
       continue;
     }
     
-    // Relationship
-    const relationMatch = line.match(/(\S+)\s*(<\|--|--\|>|<--|\*--|o--|-->|--\*|--o|--)\s*(\S+)(?:\s*:\s*(.+))?/);
-    if (relationMatch) {
-      const source = relationMatch[1];
-      const target = relationMatch[3];
-      const label = relationMatch[4] || '';
-      
-      if (!classes.has(source)) {
-        classes.add(source);
-        nodes.push({ id: source, label: source, shape: 'rectangle' });
-      }
-      if (!classes.has(target)) {
-        classes.add(target);
-        nodes.push({ id: target, label: target, shape: 'rectangle' });
-      }
-      
-      edges.push({
-        id: `edge_${edges.length}`,
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/i);
+    if (directionMatch) {
+      direction = directionMatch[1].toUpperCase().replace('TD', 'TB');
+      continue;
+    }
+    
+    // CUSTOMER ||--o{ ORDER : places
+    const relationshipMatch = line.match(ER_RELATIONSHIP);
+    if (relationshipMatch) {
+      const [, source, left, link, right, target, label] = relationshipMatch;
+      addRelationship(source, target, ER_LEFT_TOKENS[left], ER_RIGHT_TOKENS[right], link === '--', label);
+      continue;
+    }
+    
+    // CUSTOMER only one to zero or more ORDER : places
+    const aliasMatch = line.match(ER_ALIAS_RELATIONSHIP);
+    if (aliasMatch) {
+      const [, source, left, link, right, target, label] = aliasMatch;
+      addRelationship(
         source,
         target,
-        label,
-        type: 'arrow'
-      });
+        ER_CARDINALITY_ALIASES[left.toLowerCase()],
+        ER_CARDINALITY_ALIASES[right.toLowerCase()],
+        link.toLowerCase() === 'to',
+        label
+      );
+      continue;
+    }
+    
+    // Entity, with an optional alias and attribute block: CUSTOMER["Customer"] {
+    const entityMatch = line.match(new RegExp(`^${ER_NAME}(?:\\s*\\[\\s*("[^"]*"|[^\\]]*?)\\s*\\])?\\s*(\\{)?\\s*(\\})?$`));
+    if (entityMatch) {
+      const [, name, alias, open, close] = entityMatch;
+      const node = addEntity(name, alias);
+      if (open && !close) current = node;
+    }
+    
+    // Styling statements have no draw.io counterpart here
+  }
+  
+  return { nodes, edges, subgraphs: [], direction };
+}
+
+/**
+ * Mermaid mindmap shape delimiters, longest first so "((" is not read as "("
+ */
+const MINDMAP_SHAPES = [
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '))', close: '((', shape: 'bang' },
+  { open: '{{', close: '}}', shape: 'hexagon' },
+  { open: ')', close: '(', shape: 'cloud' },
+  { open: '(', close: ')', shape: 'rounded' },
+  { open: '[', close: ']', shape: 'square' }
+];
+
+/**
+ * Parse mindmap
+ * Each node hangs from the closest node above it with less indentation; "::icon()"
+ * and ":::class" lines decorate the node before them
+ * Returns the tree in mindmap.root, every node listing its children
+ */
+function parseMindmap(code) {
+  const nodes = [];
+  const edges = [];
+  const usedIds = new Set();
+  const stack = [];
+  let root = null;
+  
+  const lines = splitStatements(stripFrontMatter(code))
+    .map((line, index) => ({ text: line.trim(), indent: line.match(/^\s*/)[0].length, number: index + 1 }))
+    .filter(line => line.text && !line.text.startsWith('%%'));
+  
+  lines.slice(1).forEach(line => {
+    const last = nodes[nodes.length - 1];
+    
+    const iconMatch = line.text.match(/^::icon\((.*)\)$/);
+    if (iconMatch) {
+      if (last) last.icon = iconMatch[1].trim();
+      return;
+    }
+    if (line.text.startsWith(':::')) {
+      if (last) last.classes = line.text.slice(3).trim().split(/\s+/);
+      return;
     }
+    
+    const node = readMindmapNode(line.text, nodes.length);
+    let id = node.id;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${node.id}_${suffix}`;
+    }
+    node.id = id;
+    usedIds.add(id);
+    
+    while (stack.length > 0 && stack[stack.length - 1].indent >= line.indent) {
+      stack.pop();
+    }
+    const parent = stack.length > 0 ? stack[stack.length - 1].node : null;
+    
+    if (!parent && root) {
+      throw new Error(`El mapa mental solo puede tener un nodo raíz (línea ${line.number})`);
+    }
+    if (parent) {
+      parent.children.push(node);
+      edges.push({ id: `edge_${edges.length}`, source: parent.id, target: node.id, label: '', type: 'line' });
+    } else {
+      root = node;
+    }
+    
+    nodes.push(node);
+    stack.push({ indent: line.indent, node });
+  });
+  
+  return { nodes, edges, subgraphs: [], mindmap: { root } };
+}
+
+/**
+ * Read a mindmap node: "id((text))", "id[text]"... or plain text without a border
+ * Nodes written without an ID get a generated one, flagged as implicitId
+ */
+function readMindmapNode(text, index) {
+  for (const { open, close, shape } of MINDMAP_SHAPES) {
+    const start = text.indexOf(open);
+    if (start === -1 || !text.endsWith(close) || text.length < start + open.length + close.length) continue;
+    
+    const id = text.slice(0, start).trim();
+    if (/\s/.test(id)) continue;
+    
+    const { label, html } = decodeLabel(text.slice(start + open.length, text.length - close.length).trim());
+    return { id: id || `node_${index}`, implicitId: !id, label, html, shape, children: [] };
   }
   
-  return { nodes, edges, subgraphs: [] };
+  const { label, html } = decodeLabel(text);
+  return { id: `node_${index}`, implicitId: true, label, html, shape: 'default', children: [] };
 }
 
 /**
@@ -411,6 +962,27 @@ export function validateMermaidSyntax(code) {
     });
   }
   
+  // Flowcharts are checked by their grammar parser, which knows about quoted labels
+  if (firstLine.startsWith('flowchart') || firstLine.startsWith('graph')) {
+    try {
+      parseFlowchart(code);
+    } catch (error) {
+      // The message already names the line and column
+      errors.push({ message: error.message });
+    }
+    return errors;
+  }
+  
+  // Mind map shapes like ))bang(( and )cloud( are reversed on purpose, so their parser checks them
+  if (firstLine.startsWith('mindmap')) {
+    try {
+      parseMindmap(code);
+    } catch (error) {
+      errors.push({ message: error.message });
+    }
+    return errors;
+  }
+  
   // Check for unbalanced brackets
   let brackets = { '[': 0, '{': 0, '(': 0 };
   const closingBrackets = { ']': '[', '}': '{', ')': '(' };
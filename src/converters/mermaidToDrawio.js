@@ -4,89 +4,281 @@
  */
 
 import { parseMermaidCode } from './mermaidParser.js';
-import { generateDrawioXML } from './drawioParser.js';
+import { generateDrawioXML, generateMermaidCellXML } from './drawioParser.js';
+import { buildSequenceCells } from './sequenceToDrawio.js';
+import { getClassSize, buildClassCells } from './classToDrawio.js';
+import { getStateSize, buildStateCells } from './stateToDrawio.js';
+import { getEntitySize, buildEntityCells } from './erToDrawio.js';
+import { buildGanttCells } from './ganttToDrawio.js';
+import { buildMindmapCells } from './mindmapToDrawio.js';
 
 /**
  * Convert Mermaid code to draw.io XML
+ * mermaidCell: keep the diagram as one editable draw.io Mermaid cell instead of shapes,
+ * showing options.svg (the rendered diagram)
+ * mindmapLayout: 'radial' (default), 'tree' or 'org' for mind maps
  */
 export function convertMermaidToDrawio(mermaidCode, options = {}) {
   try {
+    if (options.mermaidCell) {
+      return generateMermaidCellXML(mermaidCode, options.svg);
+    }
+    
     // Parse the Mermaid code
-    const { nodes, edges, subgraphs, diagramType } = parseMermaidCode(mermaidCode);
+    const { nodes, edges, subgraphs = [], direction, diagramType, sequence, gantt, mindmap, notes = [] } = parseMermaidCode(mermaidCode);
     
     if (nodes.length === 0) {
       throw new Error('No se encontraron nodos en el diagrama Mermaid');
     }
     
-    // Calculate positions for nodes
-    const positionedNodes = calculateNodePositions(nodes, edges, diagramType);
+    // Sequence diagrams keep time order: lifelines side by side, messages top to bottom
+    if (diagramType === 'sequence') {
+      const cells = buildSequenceCells(sequence);
+      return generateDrawioXML(cells.nodes, cells.edges);
+    }
     
-    // Map node IDs for edges
-    const nodeIdMap = new Map();
-    positionedNodes.forEach(node => {
-      nodeIdMap.set(node.id, node.id);
-    });
+    // Gantt charts are timelines: bars placed by date in one lane per section
+    if (diagramType === 'gantt') {
+      const cells = buildGanttCells(gantt);
+      return generateDrawioXML(cells.nodes, cells.edges, cells.containers);
+    }
+    
+    // Mind maps grow from the root: around it, to both sides or downwards
+    if (diagramType === 'mindmap') {
+      const cells = buildMindmapCells(mindmap.root, options.mindmapLayout || 'radial');
+      return generateDrawioXML(cells.nodes, cells.edges);
+    }
     
-    // Filter edges with valid source/target
-    const validEdges = edges.filter(edge => 
-      nodeIdMap.has(edge.source) && nodeIdMap.has(edge.target)
-    );
+    // A subgraph sharing its ID with a node gets its own cell ID
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const containerIds = new Map(subgraphs.map(subgraph => [
+      subgraph.id,
+      nodeIds.has(subgraph.id) ? `${subgraph.id}_subgraph` : subgraph.id
+    ]));
+    
+    // Class boxes and entity tables grow with their members, states make room for their notes
+    let sizedNodes = nodes;
+    if (diagramType === 'class') {
+      sizedNodes = nodes.map(node => ({ ...node, ...getClassSize(node) }));
+    } else if (diagramType === 'er') {
+      sizedNodes = nodes.map(node => ({ ...node, ...getEntitySize(node) }));
+    } else if (diagramType === 'state') {
+      sizedNodes = nodes.map(node => ({ ...node, ...getStateSize(node, notes, direction) }));
+    }
+    
+    // Calculate positions for nodes and subgraph containers
+    const { positionedNodes, containers } = calculateNodePositions(sizedNodes, edges, subgraphs, containerIds, direction);
+    
+    // Edges may attach to nodes or to subgraph containers
+    const cellIds = new Set([...nodeIds, ...containers.map(container => container.id)]);
+    const validEdges = edges
+      .map(edge => ({
+        ...edge,
+        source: nodeIds.has(edge.source) ? edge.source : containerIds.get(edge.source),
+        target: nodeIds.has(edge.target) ? edge.target : containerIds.get(edge.target)
+      }))
+      .filter(edge => cellIds.has(edge.source) && cellIds.has(edge.target));
+    
+    // Classes are UML shapes with their member compartments, namespaces stay containers
+    if (diagramType === 'class') {
+      const cells = buildClassCells(positionedNodes, validEdges);
+      return generateDrawioXML(cells.nodes, cells.edges, containers);
+    }
+    
+    // Entities are tables with one row per attribute
+    if (diagramType === 'er') {
+      const cells = buildEntityCells(positionedNodes, validEdges);
+      return generateDrawioXML(cells.nodes, cells.edges);
+    }
+    
+    // States are UML state shapes, composite states stay containers
+    if (diagramType === 'state') {
+      const cells = buildStateCells({ nodes: positionedNodes, edges: validEdges, containers, subgraphs, notes, direction });
+      return generateDrawioXML(cells.nodes, cells.edges, cells.containers);
+    }
     
     // Generate draw.io XML
-    return generateDrawioXML(positionedNodes, validEdges);
+    return generateDrawioXML(positionedNodes, validEdges, containers);
     
   } catch (error) {
     throw new Error(`Error al convertir Mermaid a Draw.io: ${error.message}`);
   }
 }
 
+const NODE_WIDTH = 120;
+const NODE_HEIGHT = 60;
+const ITEM_GAP = 60;
+const CONTAINER_PADDING = 20;
+const CONTAINER_HEADER = 30;
+const CONTAINER_MIN_WIDTH = 160;
+const START_X = 50;
+const START_Y = 50;
+
 /**
  * Calculate node positions based on diagram structure
+ * Every subgraph is laid out on its own (in its direction, or its parent's) and then
+ * placed as one box in the layers of its parent. Nodes inside a container get
+ * coordinates relative to it, as draw.io child cells expect. Nodes that bring
+ * their own width and height (UML classes) keep them
  */
-function calculateNodePositions(nodes, edges, diagramType) {
-  // Build adjacency list for layout
-  const adjacency = new Map();
-  const inDegree = new Map();
-  
-  nodes.forEach(node => {
-    adjacency.set(node.id, []);
-    inDegree.set(node.id, 0);
+function calculateNodePositions(nodes, edges, subgraphs, containerIds, direction = 'TB') {
+  const subgraphMap = new Map(subgraphs.map(subgraph => [subgraph.id, subgraph]));
+  
+  // Parent of every node and subgraph (null at the top level)
+  const parentOf = new Map();
+  nodes.forEach(node => parentOf.set(node.id, subgraphMap.has(node.subgraph) ? node.subgraph : null));
+  subgraphs.forEach(subgraph => parentOf.set(subgraph.id, subgraphMap.has(subgraph.parent) ? subgraph.parent : null));
+  
+  // Item of a group that contains a node or subgraph, or null when it lies outside the group
+  const itemInGroup = (id, groupId) => {
+    let current = id;
+    const visited = new Set();
+    while (parentOf.has(current) && !visited.has(current)) {
+      visited.add(current);
+      if (parentOf.get(current) === groupId) return current;
+      current = parentOf.get(current);
+    }
+    return null;
+  };
+  
+  const boxes = new Map();
+  
+  // Containers add padding around their content and room for the title
+  const toContainerSize = ({ width, height }) => ({
+    width: Math.max(CONTAINER_MIN_WIDTH, width + CONTAINER_PADDING * 2),
+    height: height + CONTAINER_PADDING * 2 + CONTAINER_HEADER
+  });
+  
+  // Lay out the items of a group (null for the top level), returns the size of its content
+  const layoutGroup = (groupId, groupDirection) => {
+    const items = [
+      ...nodes.filter(node => parentOf.get(node.id) === groupId).map(node => ({
+        id: node.id, width: node.width || NODE_WIDTH, height: node.height || NODE_HEIGHT
+      })),
+      ...subgraphs.filter(subgraph => parentOf.get(subgraph.id) === groupId).map(subgraph => ({
+        id: subgraph.id,
+        ...toContainerSize(layoutGroup(subgraph.id, subgraph.direction || groupDirection))
+      }))
+    ];
+    
+    // Edges between items of this group, nested ends count as their subgraph
+    const itemEdges = edges
+      .map(edge => ({ source: itemInGroup(edge.source, groupId), target: itemInGroup(edge.target, groupId) }))
+      .filter(edge => edge.source && edge.target && edge.source !== edge.target);
+    
+    const layers = assignLayers(items.map(item => item.id), itemEdges);
+    const itemMap = new Map(items.map(item => [item.id, item]));
+    const horizontal = groupDirection === 'LR' || groupDirection === 'RL';
+    const reversed = groupDirection === 'BT' || groupDirection === 'RL';
+    
+    // Flow axis runs along the direction, cross axis spreads each layer
+    const flowSize = item => horizontal ? item.width : item.height;
+    const crossSize = item => horizontal ? item.height : item.width;
+    
+    const layerSizes = layers.map(layer => ({
+      flow: Math.max(0, ...layer.map(id => flowSize(itemMap.get(id)))),
+      cross: layer.reduce((sum, id) => sum + crossSize(itemMap.get(id)), 0) + ITEM_GAP * (layer.length - 1)
+    }));
+    const totalFlow = layerSizes.reduce((sum, size) => sum + size.flow, 0) + ITEM_GAP * Math.max(0, layers.length - 1);
+    const totalCross = Math.max(0, ...layerSizes.map(size => size.cross));
+    
+    let flowOffset = 0;
+    layers.forEach((layer, layerIndex) => {
+      const size = layerSizes[layerIndex];
+      let crossOffset = (totalCross - size.cross) / 2;
+      
+      layer.forEach(id => {
+        const item = itemMap.get(id);
+        const flow = flowOffset + (size.flow - flowSize(item)) / 2;
+        const flowPosition = reversed ? totalFlow - flow - flowSize(item) : flow;
+        boxes.set(id, {
+          x: horizontal ? flowPosition : crossOffset,
+          y: horizontal ? crossOffset : flowPosition,
+          width: item.width,
+          height: item.height
+        });
+        crossOffset += crossSize(item) + ITEM_GAP;
+      });
+      
+      flowOffset += size.flow + ITEM_GAP;
+    });
+    
+    return {
+      width: horizontal ? totalFlow : totalCross,
+      height: horizontal ? totalCross : totalFlow
+    };
+  };
+  
+  layoutGroup(null, direction);
+  
+  // Offset of a box inside its parent: top level starts at the page margin,
+  // content of a container starts below its title
+  const origin = id => parentOf.get(id) === null
+    ? { x: START_X, y: START_Y }
+    : { x: CONTAINER_PADDING, y: CONTAINER_HEADER + CONTAINER_PADDING };
+  
+  const positionedNodes = nodes.map(node => {
+    const box = boxes.get(node.id);
+    const parent = parentOf.get(node.id);
+    return {
+      ...node,
+      x: Math.round(box.x + origin(node.id).x),
+      y: Math.round(box.y + origin(node.id).y),
+      width: box.width,
+      height: box.height,
+      parent: parent === null ? null : containerIds.get(parent)
+    };
   });
   
+  const containers = subgraphs.map(subgraph => {
+    const box = boxes.get(subgraph.id);
+    const parent = parentOf.get(subgraph.id);
+    return {
+      id: containerIds.get(subgraph.id),
+      label: subgraph.label,
+      html: subgraph.html,
+      x: Math.round(box.x + origin(subgraph.id).x),
+      y: Math.round(box.y + origin(subgraph.id).y),
+      width: box.width,
+      height: box.height,
+      parent: parent === null ? null : containerIds.get(parent)
+    };
+  });
+  
+  return { positionedNodes, containers };
+}
+
+/**
+ * Assign items to layers by walking edges from the roots (items without incoming edges)
+ * Items only reachable through cycles join the last layer
+ */
+function assignLayers(ids, edges) {
+  const adjacency = new Map(ids.map(id => [id, []]));
+  const inDegree = new Map(ids.map(id => [id, 0]));
+  
   edges.forEach(edge => {
-    if (adjacency.has(edge.source) && adjacency.has(edge.target)) {
-      adjacency.get(edge.source).push(edge.target);
-      inDegree.set(edge.target, (inDegree.get(edge.target) || 0) + 1);
-    }
+    adjacency.get(edge.source).push(edge.target);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
   });
   
-  // Use topological sort for layered layout
   const layers = [];
   const visited = new Set();
-  const nodeToLayer = new Map();
   
-  // Find root nodes (no incoming edges)
-  let currentLayer = nodes
-    .filter(n => inDegree.get(n.id) === 0)
-    .map(n => n.id);
+  let currentLayer = ids.filter(id => inDegree.get(id) === 0);
   
   // If no root nodes, start with first node
-  if (currentLayer.length === 0 && nodes.length > 0) {
-    currentLayer = [nodes[0].id];
+  if (currentLayer.length === 0 && ids.length > 0) {
+    currentLayer = [ids[0]];
   }
   
   // BFS to assign layers
   while (currentLayer.length > 0) {
     layers.push([...currentLayer]);
-    currentLayer.forEach(id => {
-      visited.add(id);
-      nodeToLayer.set(id, layers.length - 1);
-    });
+    currentLayer.forEach(id => visited.add(id));
     
     const nextLayer = new Set();
     currentLayer.forEach(id => {
-      const neighbors = adjacency.get(id) || [];
-      neighbors.forEach(neighbor => {
+      adjacency.get(id).forEach(neighbor => {
         if (!visited.has(neighbor)) {
           nextLayer.add(neighbor);
         }
@@ -97,43 +289,14 @@ function calculateNodePositions(nodes, edges, diagramType) {
   }
   
   // Add any remaining unvisited nodes
-  nodes.forEach(node => {
-    if (!visited.has(node.id)) {
+  ids.forEach(id => {
+    if (!visited.has(id)) {
       if (layers.length === 0) layers.push([]);
-      layers[layers.length - 1].push(node.id);
-      nodeToLayer.set(node.id, layers.length - 1);
+      layers[layers.length - 1].push(id);
     }
   });
   
-  // Calculate positions
-  const nodeWidth = 120;
-  const nodeHeight = 60;
-  const horizontalSpacing = 180;
-  const verticalSpacing = 120;
-  const startX = 50;
-  const startY = 50;
-  
-  const positionMap = new Map();
-  
-  layers.forEach((layer, layerIndex) => {
-    const layerWidth = layer.length * horizontalSpacing;
-    const startOffset = -layerWidth / 2 + horizontalSpacing / 2;
-    
-    layer.forEach((nodeId, nodeIndex) => {
-      const x = startX + 300 + startOffset + nodeIndex * horizontalSpacing;
-      const y = startY + layerIndex * verticalSpacing;
-      positionMap.set(nodeId, { x, y });
-    });
-  });
-  
-  // Return nodes with positions
-  return nodes.map(node => ({
-    ...node,
-    x: positionMap.get(node.id)?.x || 100,
-    y: positionMap.get(node.id)?.y || 100,
-    width: nodeWidth,
-    height: nodeHeight
-  }));
+  return layers;
 }
 
 /**
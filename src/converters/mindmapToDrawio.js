@@ -0,0 +1,238 @@
+/**
+ * Mindmap to Draw.io
+ * Lays out a parsed Mermaid mindmap as a draw.io tree with curved connectors:
+ * - radial: main branches around the root, clockwise from 12 o'clock
+ * - tree: main branches split left and right of the root
+ * - org: the root on top, every level one row below its parent
+ * Below the main branches, siblings are stacked along one axis (columns beside
+ * the parent, rows under it in org charts), in the order the reverse conversion reads them
+ */
+
+const MIN_NODE_WIDTH = 80;
+const NODE_HEIGHT = 40;
+const MIN_CIRCLE_SIZE = 60;
+const LEVEL_GAP = 60;
+const SIBLING_GAP = 16;
+const MIN_RADIUS = 200;
+const START_X = 50;
+const START_Y = 50;
+
+export const MINDMAP_LAYOUTS = ['radial', 'tree', 'org'];
+
+const NODE_STYLES = {
+  default: 'shape=partialRectangle;top=0;left=0;right=0;bottom=1;fillColor=none;whiteSpace=wrap;html=1;',
+  square: 'rounded=0;whiteSpace=wrap;html=1;',
+  rounded: 'rounded=1;whiteSpace=wrap;html=1;',
+  circle: 'ellipse;whiteSpace=wrap;html=1;aspect=fixed;',
+  cloud: 'shape=cloud;whiteSpace=wrap;html=1;',
+  bang: 'ellipse;whiteSpace=wrap;html=1;strokeWidth=3;dashed=1;mindmapShape=bang;',
+  hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;'
+};
+
+const EDGE_STYLES = {
+  radial: 'curved=1;endArrow=none;html=1;',
+  tree: 'edgeStyle=entityRelationEdgeStyle;curved=1;startArrow=none;endArrow=none;html=1;',
+  org: 'edgeStyle=orthogonalEdgeStyle;curved=1;endArrow=none;html=1;'
+};
+
+/**
+ * Build the draw.io cells of a mindmap
+ * @param {Object} root - Root node from parseMermaidCode, with nested children
+ * @param {string} layout - 'radial', 'tree' or 'org'
+ * @returns {Object} - { nodes, edges } for generateDrawioXML
+ */
+export function buildMindmapCells(root, layout = 'radial') {
+  if (!MINDMAP_LAYOUTS.includes(layout)) {
+    throw new Error(`Disposición de mapa mental no válida: ${layout}`);
+  }
+
+  // Node centers, relative to the root
+  const centers = new Map();
+  centers.set(root.id, { x: 0, y: 0 });
+
+  if (layout === 'org') {
+    placeBelow(root, centers);
+  } else {
+    placeMainBranches(root, centers, layout);
+  }
+
+  // Shift everything to the page margin
+  const all = flatten(root);
+  const boxes = all.map(node => {
+    const size = getNodeSize(node);
+    const center = centers.get(node.id);
+    return { node, x: center.x - size.width / 2, y: center.y - size.height / 2, ...size };
+  });
+  const offsetX = START_X - Math.min(...boxes.map(box => box.x));
+  const offsetY = START_Y - Math.min(...boxes.map(box => box.y));
+
+  const nodes = boxes.map(({ node, x, y, width, height }) => {
+    const properties = { ...node.properties };
+    if (node.icon) properties.icon = node.icon;
+    if (node.classes) properties.class = node.classes.join(' ');
+
+    // Nodes written without an ID are marked, so converting back does not add one
+    return {
+      ...node,
+      drawioStyle: `${NODE_STYLES[node.shape]}treeFolding=1;treeMoving=1;${node === root ? 'fontStyle=1;' : ''}${node.implicitId ? 'mindmapImplicitId=1;' : ''}`,
+      x: Math.round(x + offsetX),
+      y: Math.round(y + offsetY),
+      width,
+      height,
+      properties
+    };
+  });
+
+  const edges = [];
+  all.forEach(node => {
+    node.children.forEach(child => {
+      edges.push({ id: `edge_${edges.length}`, source: node.id, target: child.id, label: '', drawioStyle: EDGE_STYLES[layout] });
+    });
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Place the root's branches, then stack their subtrees beside them
+ * Branches are split between the right and left side by subtree size; the right
+ * side runs top to bottom and the left side bottom to top, so reading clockwise
+ * keeps the Mermaid order
+ */
+function placeMainBranches(root, centers, layout) {
+  const branches = root.children;
+  const total = branches.reduce((sum, branch) => sum + countLeaves(branch), 0);
+  const rootSize = getNodeSize(root);
+
+  const right = [];
+  const left = [];
+  let rightWeight = 0;
+  branches.forEach(branch => {
+    if (left.length === 0 && rightWeight < total / 2) {
+      right.push(branch);
+      rightWeight += countLeaves(branch);
+    } else {
+      left.push(branch);
+    }
+  });
+
+  const placeSide = (side, sign) => {
+    if (side.length === 0) return;
+    const heights = side.map(getSubtreeHeight);
+    const width = Math.max(...side.map(branch => getNodeSize(branch).width));
+
+    // Radial: spread over a half circle by weight; tree: one column
+    const stackHeight = heights.reduce((sum, height) => sum + height, 0) + SIBLING_GAP * (side.length - 1);
+    const radius = Math.max(MIN_RADIUS, stackHeight / 2);
+    const column = rootSize.width / 2 + LEVEL_GAP + width / 2;
+    const weight = side.reduce((sum, branch) => sum + countLeaves(branch), 0);
+    let angle = 0;
+    const desired = side.map(branch => {
+      const slice = Math.PI * countLeaves(branch) / weight;
+      angle += slice;
+      return -sign * radius * Math.cos(angle - slice / 2);
+    });
+
+    // Going down the right side or up the left side, subtrees must not overlap;
+    // radial branches pushed off the circle keep to the column, so the angle
+    // still grows with each branch
+    let edge = -sign * stackHeight / 2;
+    side.forEach((branch, index) => {
+      const height = heights[index];
+      const free = edge + sign * height / 2;
+      const y = layout === 'radial'
+        ? (sign > 0 ? Math.max(desired[index], free) : Math.min(desired[index], free))
+        : free;
+      const x = layout === 'radial'
+        ? Math.max(column, Math.sqrt(Math.max(0, radius * radius - y * y)))
+        : column;
+      centers.set(branch.id, { x: sign * x, y });
+      edge = y + sign * (height / 2 + SIBLING_GAP);
+      placeBeside(branch, centers, sign);
+    });
+  };
+
+  placeSide(right, 1);
+  placeSide(left, -1);
+}
+
+/**
+ * Stack the children of a node in a column beside it, top to bottom,
+ * centered on the node; sign is 1 to grow right and -1 to grow left
+ */
+function placeBeside(node, centers, sign) {
+  if (node.children.length === 0) return;
+
+  const center = centers.get(node.id);
+  const columnWidth = Math.max(...node.children.map(child => getNodeSize(child).width));
+  const x = center.x + sign * (getNodeSize(node).width / 2 + LEVEL_GAP + columnWidth / 2);
+  const heights = node.children.map(getSubtreeHeight);
+  let y = center.y - (heights.reduce((sum, height) => sum + height, 0) + SIBLING_GAP * (heights.length - 1)) / 2;
+
+  node.children.forEach((child, index) => {
+    centers.set(child.id, { x, y: y + heights[index] / 2 });
+    y += heights[index] + SIBLING_GAP;
+    placeBeside(child, centers, sign);
+  });
+}
+
+/**
+ * Place the children of a node in a row under it, left to right, centered on the node
+ */
+function placeBelow(node, centers) {
+  if (node.children.length === 0) return;
+
+  const center = centers.get(node.id);
+  const rowHeight = Math.max(...node.children.map(child => getNodeSize(child).height));
+  const y = center.y + getNodeSize(node).height / 2 + LEVEL_GAP + rowHeight / 2;
+  const widths = node.children.map(getSubtreeWidth);
+  let x = center.x - (widths.reduce((sum, width) => sum + width, 0) + SIBLING_GAP * (widths.length - 1)) / 2;
+
+  node.children.forEach((child, index) => {
+    centers.set(child.id, { x: x + widths[index] / 2, y });
+    x += widths[index] + SIBLING_GAP;
+    placeBelow(child, centers);
+  });
+}
+
+function getSubtreeHeight(node) {
+  const own = getNodeSize(node).height;
+  if (node.children.length === 0) return own;
+  const children = node.children.reduce((sum, child) => sum + getSubtreeHeight(child), 0) + SIBLING_GAP * (node.children.length - 1);
+  return Math.max(own, children);
+}
+
+function getSubtreeWidth(node) {
+  const own = getNodeSize(node).width;
+  if (node.children.length === 0) return own;
+  const children = node.children.reduce((sum, child) => sum + getSubtreeWidth(child), 0) + SIBLING_GAP * (node.children.length - 1);
+  return Math.max(own, children);
+}
+
+function countLeaves(node) {
+  return node.children.length === 0 ? 1 : node.children.reduce((sum, child) => sum + countLeaves(child), 0);
+}
+
+/**
+ * Size of a node from its longest label line, circles stay round
+ */
+function getNodeSize(node) {
+  const lines = node.label.split('\n');
+  const width = Math.max(MIN_NODE_WIDTH, Math.max(...lines.map(line => line.length)) * 7 + 24);
+  const height = Math.max(NODE_HEIGHT, lines.length * 18 + 16);
+
+  if (node.shape === 'circle' || node.shape === 'bang') {
+    const size = Math.max(MIN_CIRCLE_SIZE, width, height);
+    return { width: size, height: size };
+  }
+  return { width, height };
+}
+
+function flatten(node) {
+  return [node, ...node.children.flatMap(flatten)];
+}
+
+export default {
+  MINDMAP_LAYOUTS,
+  buildMindmapCells
+};
@@ -0,0 +1,266 @@
+/**
+ * Sequence Diagram to Draw.io
+ * Lays out a parsed Mermaid sequence diagram as UML lifelines, messages,
+ * activation bars, notes and combined fragments
+ */
+
+const LIFELINE_TOP = 40;
+const HEADER_HEIGHT = 40;
+const MIN_PARTICIPANT_WIDTH = 100;
+const ACTOR_WIDTH = 20;
+const PARTICIPANT_GAP = 60;
+const MESSAGE_SPACING = 40;
+const SELF_CALL_WIDTH = 30;
+const SELF_CALL_HEIGHT = 20;
+const ACTIVATION_WIDTH = 10;
+const NOTE_WIDTH = 100;
+const NOTE_HEIGHT = 40;
+const FRAME_HEADER = 40;
+const FRAME_INSET = 10;
+
+const LIFELINE_STYLE = 'shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;dropTarget=0;collapsible=0;recursiveResize=0;outlineConnect=0;portConstraint=eastwest;newEdgeStyle={"edgeStyle":"elbowEdgeStyle","elbow":"vertical","curved":0,"rounded":0};';
+const ACTOR_STYLE = 'shape=umlLifeline;participant=umlActor;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;dropTarget=0;collapsible=0;recursiveResize=0;outlineConnect=0;portConstraint=eastwest;verticalAlign=top;spacingTop=36;labelBackgroundColor=#ffffff;';
+const ACTIVATION_STYLE = 'html=1;points=[];perimeter=orthogonalPerimeter;outlineConnect=0;targetShapes=umlLifeline;portConstraint=eastwest;';
+const NOTE_STYLE = 'shape=note;whiteSpace=wrap;html=1;size=14;verticalAlign=top;align=left;spacingLeft=4;';
+const FRAME_STYLE = 'shape=umlFrame;whiteSpace=wrap;html=1;pointerEvents=0;';
+const GUARD_STYLE = 'text;html=1;align=left;verticalAlign=middle;spacingLeft=4;';
+const SEPARATOR_STYLE = 'endArrow=none;dashed=1;html=1;';
+
+/**
+ * Draw.io message style for a Mermaid arrow
+ * Dotted block arrows are UML replies and use an open head, async arrows keep the half-open openAsync head
+ */
+function getMessageStyle(message, selfCall) {
+  let style = selfCall
+    ? 'html=1;align=left;spacingLeft=2;edgeStyle=orthogonalEdgeStyle;rounded=0;curved=0;'
+    : 'html=1;verticalAlign=bottom;edgeStyle=elbowEdgeStyle;elbow=vertical;curved=0;rounded=0;';
+
+  if (message.line === 'dotted') style += 'dashed=1;';
+
+  const endArrow = message.endArrow === 'block' && message.line === 'dotted' ? 'open' : message.endArrow;
+  style += `endArrow=${endArrow};`;
+  if (endArrow === 'block') style += 'endFill=1;';
+  if (endArrow === 'open') style += 'endFill=0;';
+
+  if (message.startArrow !== 'none') {
+    style += `startArrow=${message.startArrow};startFill=1;`;
+  }
+
+  return style;
+}
+
+/**
+ * Build the draw.io cells of a sequence diagram
+ * @param {Object} sequence - { participants, events } from parseMermaidCode
+ * @returns {Object} - { nodes, edges } for generateDrawioXML
+ */
+export function buildSequenceCells(sequence) {
+  const nodes = [];
+  const edges = [];
+
+  // Lifelines side by side, wide enough for their labels
+  const columns = new Map();
+  let nextX = 40;
+  sequence.participants.forEach(participant => {
+    const textWidth = Math.max(...participant.label.split('\n').map(line => line.length)) * 7 + 20;
+    const slot = Math.max(MIN_PARTICIPANT_WIDTH, textWidth);
+    const width = participant.actor ? ACTOR_WIDTH : slot;
+    columns.set(participant.id, { center: nextX + slot / 2, width, slot });
+    nextX += slot + PARTICIPANT_GAP;
+  });
+
+  const left = 40;
+  const right = nextX - PARTICIPANT_GAP;
+  const center = id => columns.get(id).center;
+
+  let y = LIFELINE_TOP + HEADER_HEIGHT + MESSAGE_SPACING;
+  let lastMessageY = y;
+
+  // Open activation bars per participant (nested bars shift right)
+  const openBars = new Map(sequence.participants.map(p => [p.id, []]));
+  const openFrames = [];
+
+  const activate = (id, startY) => {
+    const bars = openBars.get(id);
+    if (!bars) return;
+    bars.push({ startY, depth: bars.length });
+  };
+
+  const deactivate = (id, endY) => {
+    const bars = openBars.get(id);
+    if (!bars || bars.length === 0) return;
+    const bar = bars.pop();
+    nodes.push({
+      id: `activation_${nodes.length}`,
+      label: '',
+      drawioStyle: ACTIVATION_STYLE,
+      x: center(id) - ACTIVATION_WIDTH / 2 + bar.depth * ACTIVATION_WIDTH / 2,
+      y: bar.startY,
+      width: ACTIVATION_WIDTH,
+      height: Math.max(endY - bar.startY, MESSAGE_SPACING / 2)
+    });
+  };
+
+  // UML guard ("[x > 0]") as a text cell, the way draw.io fragments show conditions
+  const addGuard = (text, guardX, guardY) => {
+    if (!text) return;
+    nodes.push({
+      id: `guard_${nodes.length}`,
+      label: `[${text}]`,
+      drawioStyle: GUARD_STYLE,
+      x: guardX,
+      y: guardY,
+      width: Math.max(100, text.length * 7 + 20),
+      height: 20
+    });
+  };
+
+  sequence.events.forEach(event => {
+    switch (event.type) {
+      case 'message': {
+        const selfCall = event.source === event.target;
+        const label = event.number !== null ? `${event.number}. ${event.label}` : event.label;
+        const sourceX = center(event.source);
+        const targetX = center(event.target);
+
+        edges.push({
+          id: `message_${edges.length}`,
+          source: event.source,
+          target: event.target,
+          label,
+          drawioStyle: getMessageStyle(event, selfCall),
+          points: selfCall
+            ? [{ x: sourceX + SELF_CALL_WIDTH, y }, { x: sourceX + SELF_CALL_WIDTH, y: y + SELF_CALL_HEIGHT }]
+            : [{ x: (sourceX + targetX) / 2, y }]
+        });
+
+        lastMessageY = y;
+        if (event.activate) activate(event.target, y);
+        if (event.deactivate) deactivate(event.source, y);
+        y += MESSAGE_SPACING + (selfCall ? SELF_CALL_HEIGHT : 0);
+        break;
+      }
+
+      case 'activate':
+        activate(event.participant, lastMessageY);
+        break;
+
+      case 'deactivate':
+        deactivate(event.participant, lastMessageY);
+        break;
+
+      case 'note': {
+        const ids = event.participants.filter(id => columns.has(id));
+        if (ids.length === 0) break;
+
+        let x;
+        let width = NOTE_WIDTH;
+        if (event.placement === 'over') {
+          const first = center(ids[0]);
+          const last = center(ids[ids.length - 1]);
+          x = Math.min(first, last) - NOTE_WIDTH / 2;
+          width = Math.abs(last - first) + NOTE_WIDTH;
+        } else if (event.placement === 'left of') {
+          x = center(ids[0]) - ACTIVATION_WIDTH - NOTE_WIDTH;
+        } else {
+          x = center(ids[0]) + ACTIVATION_WIDTH;
+        }
+
+        nodes.push({
+          id: `note_${nodes.length}`,
+          label: event.text,
+          drawioStyle: NOTE_STYLE,
+          x,
+          y: y - MESSAGE_SPACING / 2,
+          width,
+          height: NOTE_HEIGHT
+        });
+        y += NOTE_HEIGHT + MESSAGE_SPACING / 2;
+        break;
+      }
+
+      case 'frameStart': {
+        openFrames.push({ keyword: event.keyword, label: event.label, startY: y - MESSAGE_SPACING / 2, sections: [] });
+        y += FRAME_HEADER;
+        break;
+      }
+
+      case 'frameSection': {
+        const frame = openFrames[openFrames.length - 1];
+        if (!frame) break;
+        frame.sections.push({ y: y - MESSAGE_SPACING / 2, label: event.label });
+        y += FRAME_HEADER;
+        break;
+      }
+
+      case 'frameEnd': {
+        const frame = openFrames.pop();
+        if (!frame) break;
+
+        // Inner fragments sit inside their parents
+        const depth = openFrames.length;
+        const x = left - 20 + FRAME_INSET * depth;
+        const width = right - left + 40 - FRAME_INSET * depth * 2;
+        const endY = y - MESSAGE_SPACING / 2 + FRAME_INSET;
+
+        nodes.push({
+          id: `frame_${nodes.length}`,
+          label: frame.keyword,
+          drawioStyle: FRAME_STYLE,
+          x,
+          y: frame.startY,
+          width,
+          height: endY - frame.startY
+        });
+        // The guard of the first section sits right of the fragment's name tab
+        addGuard(frame.label, x + 70, frame.startY);
+
+        frame.sections.forEach(section => {
+          edges.push({
+            id: `separator_${edges.length}`,
+            label: '',
+            drawioStyle: SEPARATOR_STYLE,
+            sourcePoint: { x, y: section.y },
+            targetPoint: { x: x + width, y: section.y }
+          });
+          addGuard(section.label, x, section.y + 2);
+        });
+
+        y = endY + MESSAGE_SPACING;
+        break;
+      }
+    }
+  });
+
+  // Bars still open at the end close with the last message
+  openBars.forEach((bars, id) => {
+    while (bars.length > 0) deactivate(id, lastMessageY + MESSAGE_SPACING / 2);
+  });
+
+  // Lifelines run down to the last event; they come first so messages and bars draw on top
+  const lifelineHeight = y - LIFELINE_TOP;
+  const lifelines = sequence.participants.map(participant => {
+    const column = columns.get(participant.id);
+    return {
+      id: participant.id,
+      label: participant.label,
+      drawioStyle: participant.actor ? ACTOR_STYLE : LIFELINE_STYLE,
+      x: column.center - column.width / 2,
+      y: LIFELINE_TOP,
+      width: column.width,
+      height: lifelineHeight
+    };
+  });
+
+  // Frames behind everything else (outer ones first), then lifelines, then bars, notes and guards
+  const frames = nodes
+    .filter(node => node.drawioStyle === FRAME_STYLE)
+    .sort((a, b) => b.width * b.height - a.width * a.height);
+  const others = nodes.filter(node => node.drawioStyle !== FRAME_STYLE);
+
+  return { nodes: [...frames, ...lifelines, ...others], edges };
+}
+
+export default {
+  buildSequenceCells
+};
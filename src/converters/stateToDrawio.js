@@ -0,0 +1,177 @@
+/**
+ * State Diagram to Draw.io
+ * Renders parsed Mermaid states as draw.io UML state shapes: rounded states,
+ * start/end pseudo-states, choice diamonds, fork/join bars, composite states
+ * as containers (with dashed regions when concurrent) and attached notes
+ */
+
+const MIN_STATE_WIDTH = 120;
+const STATE_HEIGHT = 40;
+const STATE_HEADER = 30;
+const DESCRIPTION_HEIGHT = 26;
+const PSEUDO_STATE_SIZE = 30;
+const CHOICE_SIZE = 40;
+const BAR_LENGTH = 80;
+const BAR_THICKNESS = 10;
+const NOTE_WIDTH = 120;
+const NOTE_GAP = 30;
+
+const STATE_STYLE = 'rounded=1;whiteSpace=wrap;html=1;arcSize=40;';
+const DESCRIBED_STATE_STYLE = 'swimlane;fontStyle=1;align=center;verticalAlign=middle;childLayout=stackLayout;horizontal=1;startSize=30;horizontalStack=0;resizeParent=0;resizeLast=1;container=0;collapsible=0;rounded=1;arcSize=30;whiteSpace=wrap;html=1;';
+const DESCRIPTION_STYLE = 'text;strokeColor=none;fillColor=none;align=center;verticalAlign=middle;spacingLeft=4;spacingRight=4;whiteSpace=wrap;html=1;';
+const START_STYLE = 'ellipse;html=1;shape=startState;fillColor=#000000;strokeColor=#ff0000;';
+const END_STYLE = 'ellipse;html=1;shape=endState;fillColor=#000000;strokeColor=#ff0000;';
+const CHOICE_STYLE = 'rhombus;whiteSpace=wrap;html=1;';
+const BAR_STYLE = 'shape=line;html=1;strokeWidth=6;strokeColor=#000000;';
+const COMPOSITE_STYLE = 'swimlane;rounded=1;arcSize=10;fontStyle=1;startSize=30;whiteSpace=wrap;html=1;';
+const REGION_STYLE = 'rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;dashed=1;fillColor=none;';
+const NOTE_STYLE = 'shape=note;whiteSpace=wrap;html=1;size=14;verticalAlign=top;align=left;spacingLeft=4;';
+const NOTE_LINK_STYLE = 'endArrow=none;dashed=1;html=1;';
+
+/**
+ * Get the room a state takes in the layout: its shape plus the notes beside it
+ */
+export function getStateSize(node, notes, direction) {
+  const shape = getShapeSize(node, direction);
+  const { left, right } = getNotesBeside(node, notes);
+
+  const noteRoom = side => side.length > 0 ? NOTE_WIDTH + NOTE_GAP : 0;
+  const noteHeight = side => side.reduce((sum, note) => sum + getNoteHeight(note), 0);
+
+  return {
+    width: shape.width + noteRoom(left) + noteRoom(right),
+    height: Math.max(shape.height, noteHeight(left), noteHeight(right))
+  };
+}
+
+/**
+ * Build the draw.io cells of a state diagram
+ * containers come from the layout in the same order as subgraphs, which tells
+ * composite states from their concurrent regions
+ * @returns {Object} - { nodes, edges, containers } for generateDrawioXML
+ */
+export function buildStateCells({ nodes, edges, containers, subgraphs, notes, direction }) {
+  const cells = [];
+  const links = [];
+
+  nodes.forEach(node => {
+    const shape = getShapeSize(node, direction);
+    const { left, right } = getNotesBeside(node, notes);
+    const x = node.x + (left.length > 0 ? NOTE_WIDTH + NOTE_GAP : 0);
+
+    cells.push({
+      ...node,
+      label: node.kind === 'state' ? node.label : '',
+      drawioStyle: getStateStyle(node, direction),
+      x,
+      width: shape.width,
+      height: shape.height
+    });
+
+    // Descriptions are rows below the state name
+    node.descriptions.forEach((description, index) => {
+      cells.push({
+        id: `${node.id}_description_${index}`,
+        label: description,
+        drawioStyle: DESCRIPTION_STYLE,
+        x: 0,
+        y: STATE_HEADER + index * DESCRIPTION_HEIGHT,
+        width: shape.width,
+        height: DESCRIPTION_HEIGHT,
+        parent: node.id
+      });
+    });
+
+    // Notes are stacked beside the state, linked to it by a dashed line
+    [[left, node.x], [right, x + shape.width + NOTE_GAP]].forEach(([side, noteX]) => {
+      let noteY = node.y;
+      side.forEach(note => {
+        const height = getNoteHeight(note);
+        cells.push({
+          id: note.id,
+          label: note.text,
+          drawioStyle: NOTE_STYLE,
+          x: noteX,
+          y: noteY,
+          width: NOTE_WIDTH,
+          height,
+          parent: node.parent
+        });
+        links.push({ id: `${note.id}_link`, source: note.id, target: node.id, label: '', drawioStyle: NOTE_LINK_STYLE });
+        noteY += height;
+      });
+    });
+  });
+
+  const styledContainers = containers.map((container, index) => ({
+    ...container,
+    drawioStyle: subgraphs[index].region ? REGION_STYLE : COMPOSITE_STYLE
+  }));
+
+  return { nodes: cells, edges: [...edges, ...links], containers: styledContainers };
+}
+
+/**
+ * Size of the state shape itself
+ * Fork and join bars lie across the flow
+ */
+function getShapeSize(node, direction) {
+  switch (node.kind) {
+    case 'start':
+    case 'end':
+      return { width: PSEUDO_STATE_SIZE, height: PSEUDO_STATE_SIZE };
+    case 'choice':
+      return { width: CHOICE_SIZE, height: CHOICE_SIZE };
+    case 'fork':
+    case 'join':
+      return isHorizontal(direction)
+        ? { width: BAR_THICKNESS, height: BAR_LENGTH }
+        : { width: BAR_LENGTH, height: BAR_THICKNESS };
+    default: {
+      const texts = [node.label, ...node.descriptions].flatMap(text => text.split('\n'));
+      return {
+        width: Math.max(MIN_STATE_WIDTH, Math.max(...texts.map(text => text.length)) * 7 + 20),
+        height: node.descriptions.length > 0
+          ? STATE_HEADER + node.descriptions.length * DESCRIPTION_HEIGHT
+          : STATE_HEIGHT
+      };
+    }
+  }
+}
+
+function getStateStyle(node, direction) {
+  switch (node.kind) {
+    case 'start':
+      return START_STYLE;
+    case 'end':
+      return END_STYLE;
+    case 'choice':
+      return CHOICE_STYLE;
+    case 'fork':
+    case 'join':
+      return isHorizontal(direction) ? `${BAR_STYLE}direction=south;` : BAR_STYLE;
+    default:
+      return node.descriptions.length > 0 ? DESCRIBED_STATE_STYLE : STATE_STYLE;
+  }
+}
+
+function getNotesBeside(node, notes) {
+  const attached = notes.filter(note => note.target === node.id);
+  return {
+    left: attached.filter(note => note.placement === 'left of'),
+    right: attached.filter(note => note.placement !== 'left of')
+  };
+}
+
+function getNoteHeight(note) {
+  return Math.max(40, note.text.split('\n').length * 18 + 20);
+}
+
+function isHorizontal(direction) {
+  return direction === 'LR' || direction === 'RL';
+}
+
+export default {
+  getStateSize,
+  buildStateCells
+};
@@ -4,9 +4,11 @@
 
 import { saveAs } from 'file-saver';
 import { toPng, toSvg } from 'html-to-image';
+import { embedDrawioInSvg, embedDrawioInPng } from '../converters/drawioImage.js';
 
 /**
  * Export draw.io diagram to various formats
+ * drawio-svg and drawio-png are images that stay editable in draw.io
  */
 export async function exportDrawio(xml, format, filename = 'diagram') {
   switch (format) {
@@ -18,6 +20,10 @@ export async function exportDrawio(xml, format, filename = 'diagram') {
       return exportAsSvgFromXml(xml, filename);
     case 'png':
       return exportAsPngFromXml(xml, filename);
+    case 'drawio-svg':
+      return exportAsDrawioSvg(xml, filename);
+    case 'drawio-png':
+      return exportAsDrawioPng(xml, filename);
     case 'pdf':
       return exportAsPdfFromXml(xml, filename);
     default:
@@ -61,6 +67,36 @@ async function exportAsSvgFromXml(xml, filename) {
  * Export as PNG from XML
  */
 async function exportAsPngFromXml(xml, filename) {
+  const blob = await renderPngFromXml(xml);
+  saveAs(blob, `${filename}.png`);
+}
+
+/**
+ * Export as .drawio.svg, an SVG image that keeps the diagram editable in draw.io
+ */
+function exportAsDrawioSvg(xml, filename) {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(xml, 'text/xml');
+  const cells = doc.querySelectorAll('mxCell[vertex="1"], mxCell[edge="1"]');
+  
+  const svg = embedDrawioInSvg(createSvgFromCells(cells), xml);
+  const blob = new Blob([svg], { type: 'image/svg+xml' });
+  saveAs(blob, `${filename}.drawio.svg`);
+}
+
+/**
+ * Export as .drawio.png, a PNG image that keeps the diagram editable in draw.io
+ */
+async function exportAsDrawioPng(xml, filename) {
+  const png = await renderPngFromXml(xml);
+  const bytes = embedDrawioInPng(await png.arrayBuffer(), xml);
+  saveAs(new Blob([bytes], { type: 'image/png' }), `${filename}.drawio.png`);
+}
+
+/**
+ * Render the diagram to a PNG blob
+ */
+async function renderPngFromXml(xml) {
   // Create temporary container with SVG
   const parser = new DOMParser();
   const doc = parser.parseFromString(xml, 'text/xml');
@@ -83,8 +119,7 @@ async function exportAsPngFromXml(xml, filename) {
     
     // Convert data URL to blob
     const response = await fetch(dataUrl);
-    const blob = await response.blob();
-    saveAs(blob, `${filename}.png`);
+    return await response.blob();
   } finally {
     document.body.removeChild(container);
   }
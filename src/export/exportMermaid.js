@@ -4,6 +4,7 @@
 
 import { saveAs } from 'file-saver';
 import { toPng } from 'html-to-image';
+import { createZip } from '../utils/zip.js';
 
 /**
  * Export Mermaid diagram to various formats
@@ -47,6 +48,73 @@ ${code}
   saveAs(blob, `${filename}.md`);
 }
 
+/**
+ * Export the converted pages of a multi-page diagram
+ * 'md' writes one document with a section per page, 'zip' one .mmd file per page
+ */
+export function exportMermaidPages(pages, format, filename = 'diagram') {
+  switch (format) {
+    case 'md':
+      return exportPagesAsMarkdown(pages, filename);
+    case 'zip':
+      return exportPagesAsZip(pages, filename);
+    default:
+      throw new Error(`Formato no soportado: ${format}`);
+  }
+}
+
+/**
+ * Export pages as one Markdown document, a heading and a Mermaid block per page
+ * Pages that failed to convert keep their heading and the error message
+ */
+function exportPagesAsMarkdown(pages, filename) {
+  const sections = pages.map(page => {
+    const body = page.code === null
+      ? `> Conversion failed: ${page.error}`
+      : `\`\`\`mermaid\n${page.code}\n\`\`\``;
+    return `## ${page.name}\n\n${body}\n`;
+  });
+  const markdown = `# ${filename}\n\n${sections.join('\n')}`;
+  
+  const blob = new Blob([markdown], { type: 'text/markdown' });
+  saveAs(blob, `${filename}.md`);
+}
+
+/**
+ * Export pages as a zip of .mmd files named after each page
+ */
+function exportPagesAsZip(pages, filename) {
+  const converted = pages.filter(page => page.code !== null);
+  if (converted.length === 0) {
+    throw new Error('No hay páginas convertidas para exportar');
+  }
+  
+  const usedNames = new Set();
+  const files = converted.map(page => {
+    const base = toFileName(page.name) || `page-${page.index + 1}`;
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    usedNames.add(name);
+    return { name: `${name}.mmd`, content: page.code };
+  });
+  
+  saveAs(createZip(files), `${filename}.zip`);
+}
+
+/**
+ * Turn a page name into a safe file name
+ */
+function toFileName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+}
+
 /**
  * Export as SVG file
  */
@@ -201,5 +269,6 @@ export function getSvgFromPreview(previewId) {
 
 export default {
   exportMermaid,
+  exportMermaidPages,
   getSvgFromPreview
 };
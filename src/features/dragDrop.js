@@ -3,6 +3,8 @@
  * Handles file drag and drop for importing diagrams
  */
 
+import { isBinaryDrawioFile } from '../converters/drawioImage.js';
+
 let dropzones = [];
 
 /**
@@ -13,7 +15,7 @@ export function initDragDrop(elementId, options = {}) {
   if (!element) return;
   
   const config = {
-    acceptedTypes: options.acceptedTypes || ['.drawio', '.xml', '.mmd', '.md', '.txt'],
+    acceptedTypes: options.acceptedTypes || ['.drawio', '.xml', '.svg', '.png', '.mmd', '.md', '.txt'],
     onDrop: options.onDrop || (() => {}),
     onError: options.onError || console.error
   };
@@ -122,7 +124,18 @@ function processFile(file, config) {
     config.onError(new Error('Error al leer el archivo'));
   };
   
-  reader.readAsText(file);
+  readFile(reader, file);
+}
+
+/**
+ * Read a file as text, or as an ArrayBuffer for binary images (.drawio.png)
+ */
+export function readFile(reader, file) {
+  if (isBinaryDrawioFile(file.name)) {
+    reader.readAsArrayBuffer(file);
+  } else {
+    reader.readAsText(file);
+  }
 }
 
 /**
@@ -254,12 +267,13 @@ export function initGlobalDragDrop(options = {}) {
         });
       };
       
-      reader.readAsText(file);
+      readFile(reader, file);
     }
   });
 }
 
 export default {
   initDragDrop,
-  initGlobalDragDrop
+  initGlobalDragDrop,
+  readFile
 };
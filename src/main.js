@@ -7,10 +7,11 @@
 import './styles/main.css';
 
 // Import converters
-import { convertDrawioToMermaid } from './converters/drawioToMermaid.js';
+import { convertDrawioToMermaid, convertDrawioPagesToMermaid, getDrawioDiagramInfo } from './converters/drawioToMermaid.js';
 import { convertMermaidToDrawio } from './converters/mermaidToDrawio.js';
-import { decodeDrawioContent, parseDrawioXML, generateDrawioXML, getDrawioPages } from './converters/drawioParser.js';
+import { decodeDrawioContent, parseDrawioXML, generateDrawioXML, getDrawioPages, getDrawioLayers } from './converters/drawioParser.js';
 import { validateMermaidSyntax } from './converters/mermaidParser.js';
+import { extractDrawioFromFile } from './converters/drawioImage.js';
 
 // Import editors
 import { initDrawioEmbed, loadDiagram, requestCurrentXml, getCurrentXml, loadFromFile, createNew, hasContent, isEditorVisible, setCurrentXml } from './editors/drawioEmbed.js';
@@ -18,12 +19,12 @@ import { initMermaidEditor, setCode, getCode, getSvgContent, setTheme } from './
 
 // Import export functionality
 import { exportDrawio } from './export/exportDrawio.js';
-import { exportMermaid, getSvgFromPreview } from './export/exportMermaid.js';
+import { exportMermaid, exportMermaidPages, getSvgFromPreview } from './export/exportMermaid.js';
 
 // Import features
 import { templates, renderTemplatesGrid } from './features/templates.js';
 import { addToHistory, renderHistoryList, clearHistory } from './features/history.js';
-import { initDragDrop, initGlobalDragDrop } from './features/dragDrop.js';
+import { initDragDrop, initGlobalDragDrop, readFile } from './features/dragDrop.js';
 
 // Import utils
 import { initErrorHandler, showError, showSuccess, showWarning, formatParseError } from './utils/errorHandler.js';
@@ -33,9 +34,10 @@ let currentDrawioXml = null;
 let mermaidEditorInstance = null;
 let drawioEditorInstance = null;
 let isDarkTheme = false;
-let pendingXmlForConversion = null; // Store XML while selecting page
+let pageSelectionHandlers = null; // Callbacks of the open page selection modal
 let lastDrawioSaveAt = 0;
 let lastXmlWarningAt = 0;
+let lastConversion = null; // { xml, pageIndex } of the last Draw.io → Mermaid run
 
 /**
  * Initialize the application
@@ -141,31 +143,60 @@ function initPageSelectionModal() {
   const modal = document.getElementById('page-selection-modal');
   const closeBtn = modal.querySelector('.modal-close');
   const backdrop = modal.querySelector('.modal-backdrop');
+  const selectAll = document.getElementById('select-all-pages');
   
   const closeModal = () => {
     modal.classList.add('hidden');
-    pendingXmlForConversion = null;
+    pageSelectionHandlers = null;
   };
   
   closeBtn.addEventListener('click', closeModal);
   backdrop.addEventListener('click', closeModal);
+  
+  selectAll.addEventListener('change', () => {
+    modal.querySelectorAll('.page-checkbox').forEach(checkbox => {
+      checkbox.checked = selectAll.checked;
+    });
+    updatePageSelection();
+  });
+  
+  document.getElementById('convert-selected-page').addEventListener('click', () => {
+    const [pageIndex] = getSelectedPages();
+    const { onConvert } = pageSelectionHandlers;
+    closeModal();
+    onConvert(pageIndex);
+  });
+  
+  ['md', 'zip'].forEach(format => {
+    document.getElementById(`export-pages-${format}`).addEventListener('click', () => {
+      const pageIndexes = getSelectedPages();
+      const { onExport } = pageSelectionHandlers;
+      closeModal();
+      onExport(pageIndexes, format);
+    });
+  });
 }
 
 /**
  * Show Page Selection Modal
+ * onConvert(pageIndex) opens a single page, onExport(pageIndexes, format) exports several
  */
-function showPageSelectionModal(pages, onSelect) {
+function showPageSelectionModal(pages, handlers) {
   const modal = document.getElementById('page-selection-modal');
   const pagesList = document.getElementById('pages-list');
   
+  pageSelectionHandlers = handlers;
+  document.getElementById('select-all-pages').checked = false;
+  
   // Clear list
   pagesList.innerHTML = '';
   
   // Add pages
   pages.forEach(page => {
-    const pageEl = document.createElement('div');
+    const pageEl = document.createElement('label');
     pageEl.className = 'page-item';
     pageEl.innerHTML = `
+      <input type="checkbox" class="page-checkbox" value="${page.index}">
       <div class="page-icon">
         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -175,24 +206,47 @@ function showPageSelectionModal(pages, onSelect) {
       <div class="page-id">ID: ${page.id}</div>
     `;
     
-    pageEl.addEventListener('click', () => {
-      onSelect(page.index);
-      modal.classList.add('hidden');
-    });
+    pageEl.querySelector('.page-checkbox').addEventListener('change', updatePageSelection);
     
     pagesList.appendChild(pageEl);
   });
   
+  updatePageSelection();
   modal.classList.remove('hidden');
 }
 
+/**
+ * Indexes of the pages checked in the page selection modal
+ */
+function getSelectedPages() {
+  return Array.from(document.querySelectorAll('#pages-list .page-checkbox:checked'))
+    .map(checkbox => parseInt(checkbox.value, 10));
+}
+
+/**
+ * Sync the page cards and modal buttons with the current selection
+ * Only one page can be opened in the editor, any number can be exported
+ */
+function updatePageSelection() {
+  const checkboxes = document.querySelectorAll('#pages-list .page-checkbox');
+  checkboxes.forEach(checkbox => {
+    checkbox.closest('.page-item').classList.toggle('selected', checkbox.checked);
+  });
+  
+  const count = getSelectedPages().length;
+  document.getElementById('select-all-pages').checked = count > 0 && count === checkboxes.length;
+  document.getElementById('convert-selected-page').disabled = count !== 1;
+  document.getElementById('export-pages-md').disabled = count === 0;
+  document.getElementById('export-pages-zip').disabled = count === 0;
+}
+
 /**
  * Initialize drag and drop
  */
 function initDragAndDrop() {
   // Draw.io dropzone
   initDragDrop('drawio-dropzone', {
-    acceptedTypes: ['.drawio', '.xml'],
+    acceptedTypes: ['.drawio', '.xml', '.svg', '.png'],
     onDrop: handleDrawioFile,
     onError: (error) => showError('Error', error.message)
   });
@@ -205,14 +259,13 @@ function initDragAndDrop() {
 
 /**
  * Handle Draw.io file drop
- */
-/**
- * Handle Draw.io file drop
+ * .drawio.svg and .drawio.png files carry the diagram inside the image
  */
 function handleDrawioFile(file) {
   try {
-    currentDrawioXml = file.content;
-    loadDiagram(file.content);
+    const xml = extractDrawioFromFile(file);
+    currentDrawioXml = xml;
+    loadDiagram(xml);
     showSuccess('File Loaded', `${file.name} loaded successfully`);
   } catch (error) {
     showError('Load Error', error.message);
@@ -225,7 +278,7 @@ function handleDrawioFile(file) {
 function handleGlobalFileDrop(file) {
   const extension = file.type.toLowerCase();
   
-  if (extension === '.drawio' || extension === '.xml') {
+  if (['.drawio', '.xml', '.svg', '.png'].includes(extension)) {
     handleDrawioFile(file);
   } else if (extension === '.mmd' || extension === '.md' || extension === '.txt') {
     handleMermaidFile(file);
@@ -271,6 +324,15 @@ function setupEventListeners() {
   // Convert to Draw.io
   document.getElementById('convert-to-drawio')?.addEventListener('click', convertToDrawio);
   
+  // Direction override, ID style, hidden cells and layers: re-run the last conversion with the new settings
+  ['direction-select', 'readable-ids-toggle', 'include-hidden-toggle', 'layers-control'].forEach(controlId => {
+    document.getElementById(controlId)?.addEventListener('change', () => {
+      if (lastConversion) {
+        performConversion(lastConversion.xml, lastConversion.pageIndex);
+      }
+    });
+  });
+  
   // Load Draw.io file
   document.getElementById('drawio-load-btn')?.addEventListener('click', () => {
     document.getElementById('drawio-file-input')?.click();
@@ -287,7 +349,7 @@ function setupEventListeners() {
           content: evt.target.result
         });
       };
-      reader.readAsText(file);
+      readFile(reader, file);
     }
   });
   
@@ -311,15 +373,13 @@ function setupEventListeners() {
     }
   });
   
-  // Export Draw.io - Removed as requested
-  /*
+  // Export Draw.io as editable images (other formats are in Draw.io's own export)
   document.querySelectorAll('#drawio-export-menu button').forEach(btn => {
     btn.addEventListener('click', () => {
       const format = btn.dataset.format;
       handleExportDrawio(format);
     });
   });
-  */
   
   // Export Mermaid
   document.querySelectorAll('#mermaid-export-menu button').forEach(btn => {
@@ -388,10 +448,9 @@ async function convertToMermaid() {
       const pages = getDrawioPages(xml);
       
       if (pages.length > 1) {
-        pendingXmlForConversion = xml;
-        showPageSelectionModal(pages, (pageIndex) => {
-          performConversion(pendingXmlForConversion, pageIndex);
-          pendingXmlForConversion = null;
+        showPageSelectionModal(pages, {
+          onConvert: (pageIndex) => performConversion(xml, pageIndex),
+          onExport: (pageIndexes, format) => exportPages(xml, pageIndexes, format)
         });
         return;
       }
@@ -414,12 +473,30 @@ async function convertToMermaid() {
  */
 function performConversion(xml, pageIndex) {
   try {
+    // A new diagram starts from its visible layers, a re-run keeps the user's choice
+    const isSameDiagram = lastConversion?.xml === xml && lastConversion?.pageIndex === pageIndex;
+    if (!isSameDiagram) {
+      updateLayersControl(getDrawioLayers(xml, { pageIndex }));
+    }
+    const layerOptions = {
+      pageIndex: pageIndex,
+      layers: getSelectedLayers(),
+      includeHidden: !!document.getElementById('include-hidden-toggle')?.checked
+    };
+    
+    const { direction: inferredDirection, warnings } = getDrawioDiagramInfo(xml, layerOptions);
+    const selectedDirection = document.getElementById('direction-select')?.value || 'auto';
+    
     const mermaidCode = convertDrawioToMermaid(xml, { 
+      ...layerOptions,
       diagramType: 'auto',
-      pageIndex: pageIndex 
+      direction: selectedDirection === 'auto' ? inferredDirection : selectedDirection,
+      readableIds: !!document.getElementById('readable-ids-toggle')?.checked
     });
     
     setCode(mermaidCode);
+    lastConversion = { xml, pageIndex };
+    updateDirectionControl(inferredDirection);
     
     // Update history
     addToHistory({
@@ -432,12 +509,84 @@ function performConversion(xml, pageIndex) {
     });
     
     showSuccess('Success', 'Diagram converted to Mermaid');
+    if (warnings.length > 0) {
+      showWarning('Conversion warnings', warnings.join('\n'));
+    }
   } catch (error) {
     showError('Conversion Error', error.message);
     console.error(error);
   }
 }
 
+/**
+ * Convert several pages at once and download them as Markdown or a zip of .mmd files
+ */
+function exportPages(xml, pageIndexes, format) {
+  try {
+    const selectedDirection = document.getElementById('direction-select')?.value || 'auto';
+    const pages = convertDrawioPagesToMermaid(xml, pageIndexes, {
+      diagramType: 'auto',
+      direction: selectedDirection,
+      readableIds: !!document.getElementById('readable-ids-toggle')?.checked,
+      includeHidden: !!document.getElementById('include-hidden-toggle')?.checked
+    });
+    
+    exportMermaidPages(pages, format, 'diagram');
+    
+    const failed = pages.filter(page => page.code === null);
+    showSuccess('Export Success', `${pages.length - failed.length} of ${pages.length} pages exported as .${format}`);
+    if (failed.length > 0) {
+      showWarning('Some pages failed', failed.map(page => `${page.name}: ${page.error}`).join('\n'));
+    }
+  } catch (error) {
+    showError('Export Error', error.message);
+    console.error(error);
+  }
+}
+
+/**
+ * Show the inferred direction on the "Auto" option of the direction selector
+ */
+function updateDirectionControl(inferredDirection) {
+  const autoOption = document.querySelector('#direction-select option[value="auto"]');
+  if (autoOption) {
+    autoOption.textContent = `Auto (${inferredDirection})`;
+  }
+}
+
+/**
+ * List the layers of the converted page, checked when draw.io shows them
+ * The control stays hidden for single-layer diagrams
+ */
+function updateLayersControl(layers) {
+  const control = document.getElementById('layers-control');
+  const list = document.getElementById('layers-list');
+  if (!control || !list) return;
+  
+  list.innerHTML = '';
+  layers.forEach(layer => {
+    const item = document.createElement('label');
+    item.className = 'layer-item';
+    item.innerHTML = `
+      <input type="checkbox" class="layer-checkbox" value="${layer.id}" ${layer.visible ? 'checked' : ''}>
+      <span></span>
+    `;
+    item.querySelector('span').textContent = layer.visible ? layer.name : `${layer.name} (hidden)`;
+    list.appendChild(item);
+  });
+  
+  control.classList.toggle('hidden', layers.length < 2);
+}
+
+/**
+ * IDs of the layers checked in the layers control, or null to use the defaults
+ */
+function getSelectedLayers() {
+  const checkboxes = document.querySelectorAll('#layers-list .layer-checkbox');
+  if (checkboxes.length === 0) return null;
+  return Array.from(checkboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+}
+
 /**
  * Convert Mermaid to Draw.io
  */
@@ -458,7 +607,13 @@ function convertToDrawio() {
       return;
     }
     
-    const xml = convertMermaidToDrawio(code);
+    // A Mermaid cell keeps the source editable in draw.io and shows the current preview
+    const mermaidCell = !!document.getElementById('mermaid-cell-toggle')?.checked;
+    const xml = convertMermaidToDrawio(code, {
+      mermaidCell,
+      svg: mermaidCell ? getSvgContent() : null,
+      mindmapLayout: document.getElementById('mindmap-layout-select')?.value
+    });
     currentDrawioXml = xml;
     loadDiagram(xml);
     
@@ -483,7 +638,9 @@ function convertToDrawio() {
  */
 async function handleExportDrawio(format) {
   try {
-    const xml = getCurrentXml();
+    // Export what the editor shows now, edits included
+    const { xml: latestXml } = await requestCurrentXml();
+    const xml = latestXml || getCurrentXml();
     
     if (!xml) {
       showWarning('No Diagram', 'No diagram to export');
@@ -491,7 +648,7 @@ async function handleExportDrawio(format) {
     }
     
     await exportDrawio(xml, format, 'diagram');
-    showSuccess('Export Success', `Diagram exported as .${format}`);
+    showSuccess('Export Success', `Diagram exported as .${format.replace('-', '.')}`);
     
   } catch (error) {
     showError('Export Error', error.message);